@@ -0,0 +1,26 @@
+const metricsService = require('../services/metricsService');
+
+/**
+ * Count requests and their latency by route. The route is the Express path
+ * pattern (e.g. /batch/jobs/:jobId), so job and user IDs never become labels;
+ * requests no route handled are counted as 'unmatched'.
+ */
+function createHttpMetrics() {
+  return (req, res, next) => {
+    const startedAt = process.hrtime.bigint();
+
+    res.on('finish', () => {
+      metricsService.recordHttpRequest({
+        method: req.method,
+        route: req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched',
+        status: res.statusCode,
+        durationSeconds: Number(process.hrtime.bigint() - startedAt) / 1e9
+      });
+    });
+    next();
+  };
+}
+
+module.exports = {
+  createHttpMetrics
+};
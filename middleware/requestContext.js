@@ -0,0 +1,42 @@
+const { v4: uuidv4 } = require('uuid');
+const { requestContext, createLogger } = require('../services/logger');
+
+const logger = createLogger('http');
+const REQUEST_ID_HEADER = 'x-request-id';
+
+/**
+ * Give every request a correlation ID: the caller's X-Request-Id when it
+ * looks sane, otherwise a new uuid. It is echoed in the response, attached
+ * to every log line and forwarded to Hightouch and Braze.
+ * Mount after the body parsers so the context survives into route handlers.
+ */
+function createRequestContext() {
+  return (req, res, next) => {
+    const incoming = req.get(REQUEST_ID_HEADER);
+    const requestId = incoming && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : uuidv4();
+    const startedAt = process.hrtime.bigint();
+
+    req.requestId = requestId;
+    res.set('X-Request-Id', requestId);
+
+    requestContext.run({ requestId }, () => {
+      res.on('finish', () => {
+        const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+        // 'finish' can fire outside the request's async context, so pass the ID explicitly
+        logger[res.statusCode >= 500 ? 'warn' : 'debug']('Request completed', {
+          requestId,
+          method: req.method,
+          path: req.path,
+          status: res.statusCode,
+          durationMs: Math.round(durationMs * 10) / 10
+        });
+      });
+      next();
+    });
+  };
+}
+
+module.exports = {
+  createRequestContext,
+  REQUEST_ID_HEADER
+};
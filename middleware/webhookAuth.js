@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+const { createLogger } = require('../services/logger');
+
+const logger = createLogger('webhookAuth');
+
+/**
+ * Constant-time string comparison
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Read webhook auth settings from the environment
+ * @returns {Object} Auth options for createWebhookAuth
+ */
+function getWebhookAuthConfig() {
+  return {
+    signingSecret: process.env.WEBHOOK_SIGNING_SECRET,
+    signatureHeader: (process.env.WEBHOOK_SIGNATURE_HEADER || 'x-webhook-signature').toLowerCase(),
+    timestampHeader: (process.env.WEBHOOK_TIMESTAMP_HEADER || 'x-webhook-timestamp').toLowerCase(),
+    toleranceSeconds: parseInt(process.env.WEBHOOK_TOLERANCE_SECONDS, 10) || 300,
+    bearerToken: process.env.WEBHOOK_AUTH_TOKEN,
+    basicUsername: process.env.WEBHOOK_BASIC_AUTH_USERNAME,
+    basicPassword: process.env.WEBHOOK_BASIC_AUTH_PASSWORD
+  };
+}
+
+/**
+ * Verify an HMAC-SHA256 signature over `${timestamp}.${method}.${url}.${rawBody}`.
+ * Signing the timestamp is what makes the replay window enforceable; signing
+ * the method and URL (path and query) stops a signed request from being
+ * replayed against another route or with different query parameters, which is
+ * all a GET carries.
+ * @returns {string|null} Failure reason, or null when valid
+ */
+function verifySignature(req, config) {
+  const signature = req.headers[config.signatureHeader];
+  const timestamp = req.headers[config.timestampHeader];
+
+  if (!timestamp) {
+    return `Missing ${config.timestampHeader} header`;
+  }
+
+  // Accept both seconds and milliseconds since epoch
+  const timestampSeconds = Number(timestamp) > 1e12 ? Number(timestamp) / 1000 : Number(timestamp);
+  if (!Number.isFinite(timestampSeconds)) {
+    return 'Invalid timestamp';
+  }
+  if (Math.abs(Date.now() / 1000 - timestampSeconds) > config.toleranceSeconds) {
+    return 'Timestamp outside the allowed window';
+  }
+
+  const rawBody = req.rawBody ? req.rawBody.toString('utf8') : '';
+  const expected = crypto
+    .createHmac('sha256', config.signingSecret)
+    .update(`${timestamp}.${req.method}.${req.originalUrl}.${rawBody}`)
+    .digest('hex');
+  const provided = String(signature).replace(/^sha256=/, '');
+
+  return safeEqual(provided, expected) ? null : 'Invalid signature';
+}
+
+/**
+ * Verify a Bearer token or Basic credentials (Braze Connected Content
+ * `:basic_auth` sends Basic, webhook header auth usually sends Bearer)
+ * @returns {string|null} Failure reason, or null when valid
+ */
+function verifyAuthorizationHeader(authorization, config) {
+  const [scheme, credentials = ''] = authorization.split(' ');
+
+  if (/^bearer$/i.test(scheme) && config.bearerToken) {
+    return safeEqual(credentials, config.bearerToken) ? null : 'Invalid bearer token';
+  }
+
+  if (/^basic$/i.test(scheme) && config.basicUsername) {
+    const decoded = Buffer.from(credentials, 'base64').toString('utf8');
+    const separator = decoded.indexOf(':');
+    const username = decoded.slice(0, separator);
+    const password = decoded.slice(separator + 1);
+    const valid = separator !== -1 &&
+      safeEqual(username, config.basicUsername) &&
+      safeEqual(password, config.basicPassword || '');
+    return valid ? null : 'Invalid basic auth credentials';
+  }
+
+  return `Unsupported authorization scheme: ${scheme}`;
+}
+
+/**
+ * Create middleware authenticating Braze webhook callbacks. A request passes
+ * when it satisfies one configured method (HMAC signature, bearer token or
+ * basic auth); invalid credentials are rejected even if another method is set.
+ * When nothing is configured every request is let through.
+ * @param {Object} config - See getWebhookAuthConfig
+ * @returns {Function} Express middleware
+ */
+function createWebhookAuth(config = getWebhookAuthConfig()) {
+  const enabled = !!(config.signingSecret || config.bearerToken || config.basicUsername);
+
+  if (!enabled) {
+    logger.warn('Webhook authentication is disabled: set WEBHOOK_SIGNING_SECRET, WEBHOOK_AUTH_TOKEN or WEBHOOK_BASIC_AUTH_USERNAME');
+  }
+
+  const reject = (res, reason) => {
+    res.set('WWW-Authenticate', 'Bearer realm="webhook", Basic realm="webhook"');
+    return res.status(401).json({
+      error: 'Unauthorized',
+      details: reason,
+      timestamp: new Date().toISOString()
+    });
+  };
+
+  const middleware = (req, res, next) => {
+    if (!enabled) return next();
+
+    const hasSignature = !!(config.signingSecret && req.headers[config.signatureHeader]);
+    const authorization = req.headers.authorization;
+
+    if (!hasSignature && !authorization) {
+      logger.warn('Rejected unauthenticated request', { path: req.path });
+      return reject(res, 'Missing credentials');
+    }
+
+    const failure = hasSignature
+      ? verifySignature(req, config)
+      : verifyAuthorizationHeader(authorization, config);
+
+    if (failure) {
+      logger.warn('Rejected request', { path: req.path, reason: failure });
+      return reject(res, failure);
+    }
+
+    next();
+  };
+
+  middleware.enabled = enabled;
+  return middleware;
+}
+
+/**
+ * Create middleware that hides demo-only routes when they are switched off.
+ * Defaults to on, except when NODE_ENV is production.
+ * @returns {Function} Express middleware
+ */
+function createDemoRoutesGuard(enabled = process.env.ENABLE_DEMO_ROUTES
+  ? process.env.ENABLE_DEMO_ROUTES === 'true'
+  : process.env.NODE_ENV !== 'production') {
+  const middleware = (req, res, next) => {
+    if (enabled) return next();
+    return res.status(404).json({ error: 'Demo routes are disabled' });
+  };
+
+  middleware.enabled = enabled;
+  return middleware;
+}
+
+/**
+ * Capture the raw request body for signature verification. Pass as the
+ * `verify` option of express.json().
+ */
+function captureRawBody(req, res, buffer) {
+  req.rawBody = buffer;
+}
+
+module.exports = {
+  createWebhookAuth,
+  createDemoRoutesGuard,
+  captureRawBody,
+  getWebhookAuthConfig
+};
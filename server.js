@@ -1,13 +1,38 @@
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
-const { v4: uuidv4 } = require('uuid');
 const path = require('path');
 require('dotenv').config();
 
 const eppoService = require('./services/eppoService');
 const brazeService = require('./services/brazeService');
+const { BrazeApiError } = require('./services/brazeHttpClient');
+const brazeTrackQueue = require('./services/brazeTrackQueue');
 const hightouchService = require('./services/hightouchService');
+const experimentService = require('./services/experimentService');
+const templateService = require('./services/templateService');
+const attributeMappingService = require('./services/attributeMappingService');
+const enrichmentService = require('./services/enrichmentService');
+const assignmentLogService = require('./services/assignmentLogService');
+const conversionLogService = require('./services/conversionLogService');
+const exposureService = require('./services/exposureService');
+const subjectService = require('./services/subjectService');
+const resultsService = require('./services/resultsService');
+const simulationService = require('./services/simulationService');
+const batchJobService = require('./services/batchJobService');
+const loopGuardService = require('./services/loopGuardService');
+const frequencyCapService = require('./services/frequencyCapService');
+const holdoutService = require('./services/holdoutService');
+const metricsService = require('./services/metricsService');
+const healthService = require('./services/healthService');
+const { validateConfig } = require('./services/configValidator');
+const { negotiateFormat, renderResponse } = require('./services/responseFormats');
+const { createWebhookAuth, createDemoRoutesGuard, captureRawBody } = require('./middleware/webhookAuth');
+const { createRequestContext } = require('./middleware/requestContext');
+const { createHttpMetrics } = require('./middleware/httpMetrics');
+const { createLogger } = require('./services/logger');
+
+const logger = createLogger('server');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -23,83 +48,632 @@ app.use(helmet({
     },
   },
 }));
-app.use(cors());
-app.use(express.json());
+// Only allow the configured origins cross-origin; open in development unless restricted
+const corsOrigins = process.env.CORS_ORIGINS
+  ? process.env.CORS_ORIGINS.split(',').map(origin => origin.trim()).filter(Boolean)
+  : process.env.NODE_ENV !== 'production';
+app.use(cors({ origin: corsOrigins }));
+// Keep the raw body around so webhook signatures can be verified.
+// The limit leaves room for audience-sized /batch requests.
+const bodyLimit = process.env.REQUEST_BODY_LIMIT || '5mb';
+app.use(express.json({ verify: captureRawBody, limit: bodyLimit }));
+// CSV uploads for /batch
+app.use(express.text({ type: 'text/csv', limit: bodyLimit, verify: captureRawBody }));
+// Correlation ID for every request - after the body parsers so handlers keep the context
+app.use(createRequestContext());
+
+const webhookAuth = createWebhookAuth();
+const demoRoutesOnly = createDemoRoutesGuard();
 
 // Serve static files from public directory
 app.use(express.static(path.join(__dirname, 'public')));
+// Request counts and latency for /metrics (static files are not counted)
+app.use(createHttpMetrics());
+
+// Report missing and placeholder settings; Eppo errors keep /readyz failing until fixed
+const configReport = validateConfig();
+configReport.errors.forEach(({ variable, message }) => logger.error('Invalid configuration', { variable, message }));
+configReport.warnings.forEach(({ variable, message }) => logger.warn('Configuration warning', { variable, message }));
+healthService.setConfigReport(configReport);
+
+// Load the experiment registry - an invalid config should stop the server from starting
+try {
+  experimentService.loadExperiments();
+} catch (error) {
+  logger.error('Failed to load experiments', { err: error });
+  process.exit(1);
+}
+
+// Set up enrichment providers and the attribute mapping - invalid config should stop the server from starting
+try {
+  const providerNames = enrichmentService.initializeProviders();
+  attributeMappingService.loadMapping(providerNames);
+} catch (error) {
+  logger.error('Failed to load enrichment configuration', { err: error });
+  process.exit(1);
+}
+
+// Load the message template catalog and pick up edits without a restart
+try {
+  templateService.loadTemplates();
+  if (process.env.MESSAGE_TEMPLATES_WATCH !== 'false') {
+    templateService.watchTemplates();
+  }
+} catch (error) {
+  logger.error('Failed to load message templates', { err: error });
+  process.exit(1);
+}
+
+// Pick up batch jobs from a previous run so interrupted ones can be resumed
+try {
+  batchJobService.loadJobs();
+} catch (error) {
+  logger.error('Failed to load batch jobs', { err: error });
+  process.exit(1);
+}
+
+// Dependencies reported by /readyz and /health - only Eppo has to be up to serve
+healthService.register('eppo', { required: true });
+healthService.register('braze');
+healthService.register('hightouch', {
+  enabled: !!hightouchService.apiKey && enrichmentService.getProviderNames().includes('hightouch')
+});
+
+// Initialize Eppo client; the server starts listening right away and /readyz
+// fails until the configuration has loaded
+const startupTimeoutMs = parseInt(process.env.STARTUP_TIMEOUT_MS, 10) || 30 * 1000;
+healthService.trackStartup(eppoService.initializeEppo(), startupTimeoutMs);
+
+// Resolve the experiment for a request, or send a 400 and return null
+function resolveExperimentOrRespond(req, res) {
+  const resolution = experimentService.resolveExperiment({ body: req.body, query: req.query });
+  if (resolution.error) {
+    logger.warn(resolution.error, { flagKey: resolution.flagKey, resolvedFrom: resolution.source });
+    res.status(400).json({
+      error: resolution.error,
+      flagKey: resolution.flagKey,
+      timestamp: new Date().toISOString()
+    });
+    return null;
+  }
+  return resolution.experiment;
+}
 
-// Initialize Eppo client
-eppoService.initializeEppo();
+// Liveness: the process is up and serving requests
+app.get('/livez', (req, res) => {
+  res.json({
+    status: 'ok',
+    uptimeSeconds: Math.round(process.uptime()),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Readiness: Eppo configuration loaded and no configuration errors
+app.get('/readyz', (req, res) => {
+  const readiness = healthService.getReadiness();
+  res.status(readiness.ready ? 200 : 503).json({
+    status: readiness.ready ? 'ready' : 'not_ready',
+    ...readiness,
+    timestamp: new Date().toISOString()
+  });
+});
 
 // Health check endpoint
 app.get('/health', (req, res) => {
-  res.json({ 
-    status: 'healthy', 
+  const readiness = healthService.getReadiness();
+  res.status(readiness.ready ? 200 : 503).json({
+    status: healthService.getOverallStatus(readiness),
     timestamp: new Date().toISOString(),
-    eppoInitialized: eppoService.isInitialized()
+    ready: readiness.ready,
+    reasons: readiness.reasons,
+    startup: readiness.startup,
+    checks: readiness.checks,
+    eppoInitialized: eppoService.isInitialized(),
+    eppoConfigSource: eppoService.getClientInfo().configSource,
+    braze: brazeService.getMetrics(),
+    brazeTrackQueue: brazeTrackQueue.getStats(),
+    hightouchCache: hightouchService.getCacheStats(),
+    batchJobs: batchJobService.getStats(),
+    loopGuard: loopGuardService.getStats(),
+    frequencyCap: frequencyCapService.getStats(),
+    exposures: exposureService.getStats(),
+    holdout: holdoutService.getStats()
   });
 });
 
-// Main webhook endpoint - processes incoming webhooks and triggers messages
-app.post('/', async (req, res) => {
-  console.log('📨 Received webhook at /:', JSON.stringify(req.body, null, 2));
+// Prometheus metrics
+app.get('/metrics', async (req, res) => {
   try {
-    const result = await processWebhookAndSendMessage(req.body);
-    // Braze expects a simple JSON object with the message content.
-    // The UI, however, uses the fuller 'result' object.
-    res.status(200).json(result.messagePreview || {});
+    res.set('Content-Type', metricsService.contentType);
+    res.send(await metricsService.render());
   } catch (error) {
-    console.error('Webhook processing error:', error.message);
+    logger.error('Failed to render metrics', { err: error });
     res.status(500).json({
-      status: "error",
-      message: "Failed to process webhook",
-      error: error.message,
+      error: 'Failed to render metrics',
+      details: error.message,
       timestamp: new Date().toISOString()
     });
   }
 });
 
-// Webhook endpoint - alternative route for webhook processing
-app.post('/webhook', async (req, res) => {
-  console.log('📨 Received webhook at /webhook:', JSON.stringify(req.body, null, 2));
+// List registered experiments
+app.get('/experiments', (req, res) => {
+  res.json(experimentService.getSummary());
+});
+
+// Show the loaded message template catalog
+app.get('/templates', (req, res) => {
+  res.json(templateService.getSummary());
+});
+
+// Reload the message template catalog from disk
+app.post('/templates/reload', (req, res) => {
+  try {
+    const summary = templateService.loadTemplates();
+    res.json({ success: true, ...summary });
+  } catch (error) {
+    logger.error('Template reload failed', { err: error });
+    res.status(400).json({
+      error: 'Failed to reload templates',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Largest `limit` /assignments honours; without one the whole matching log is exported
+const MAX_ASSIGNMENTS_LIMIT = 100000;
+
+// Query and export persisted assignments (exposures)
+app.get('/assignments', webhookAuth, async (req, res) => {
+  try {
+    const { flagKey, userId, variation, source, from, to, format = 'json' } = req.query;
+
+    let limit = Infinity;
+    if (req.query.limit !== undefined) {
+      if (!/^\d+$/.test(req.query.limit) || parseInt(req.query.limit, 10) === 0) {
+        return res.status(400).json({ error: `limit must be a positive integer, got: ${req.query.limit}` });
+      }
+      limit = Math.min(parseInt(req.query.limit, 10), MAX_ASSIGNMENTS_LIMIT);
+    }
+
+    for (const [name, value] of [['from', from], ['to', to]]) {
+      if (value && Number.isNaN(Date.parse(value))) {
+        return res.status(400).json({ error: `Invalid "${name}" timestamp: ${value}` });
+      }
+    }
+    if (!['json', 'csv', 'ndjson'].includes(format)) {
+      return res.status(400).json({ error: 'format must be one of json, csv, ndjson' });
+    }
+
+    const filters = { flagKey, userId, variation, source, from, to };
+    const records = await assignmentLogService.queryAssignments(filters, limit);
+
+    if (format === 'csv') {
+      res.type('text/csv').attachment('assignments.csv');
+      return res.send(assignmentLogService.toCsv(records));
+    }
+    if (format === 'ndjson') {
+      res.type('application/x-ndjson').attachment('assignments.ndjson');
+      return res.send(assignmentLogService.toNdjson(records));
+    }
+
+    res.json({
+      count: records.length,
+      filters,
+      assignments: records,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Failed to query assignments', { err: error });
+    res.status(500).json({
+      error: 'Failed to query assignments',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Experiment results: per-variation users, conversions and significance vs. the baseline.
+// Reads the exposure log and the events recorded by /track-event.
+app.get('/results', webhookAuth, async (req, res) => {
+  try {
+    const experiment = resolveExperimentOrRespond(req, res);
+    if (!experiment) return;
+
+    const { eventName, from, to, baseline } = req.query;
+    const confidence = req.query.confidence ? Number(req.query.confidence) : 0.95;
+
+    for (const [name, value] of [['from', from], ['to', to]]) {
+      if (value && Number.isNaN(Date.parse(value))) {
+        return res.status(400).json({ error: `Invalid "${name}" timestamp: ${value}` });
+      }
+    }
+    if (!resultsService.getSupportedConfidenceLevels().includes(confidence)) {
+      return res.status(400).json({
+        error: `confidence must be one of ${resultsService.getSupportedConfidenceLevels().join(', ')}`
+      });
+    }
+
+    const results = await resultsService.getResults({
+      flagKey: experiment.flagKey,
+      eventName: eventName || null,
+      from,
+      to,
+      baseline: baseline || null,
+      confidence
+    });
+    res.json({ ...results, timestamp: new Date().toISOString() });
+  } catch (error) {
+    logger.error('Failed to compute experiment results', { err: error });
+    res.status(500).json({
+      error: 'Failed to compute experiment results',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Start a background job assigning (and for /batch/send, messaging) many users.
+// Accepts JSON { userIds: [...] } or { users: [{ userId, attributes }] }, or a text/csv upload.
+function createBatchJobHandler(type) {
+  return async (req, res) => {
+    try {
+      const isCsv = typeof req.body === 'string';
+      const experiment = resolveExperimentOrRespond({ body: isCsv ? {} : req.body, query: req.query }, res);
+      if (!experiment) return;
+
+      // Users are resolved to subjects and Braze identities as webhook requests are
+      const rawUsers = isCsv
+        ? batchJobService.parseUserCsv(req.body, experiment)
+        : (req.body.users || req.body.userIds);
+      const { users, duplicates, errors } = batchJobService.normalizeUsers(rawUsers, experiment, {
+        requireRecipient: type === 'send'
+      });
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid batch request',
+          details: errors,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      if (!eppoService.isInitialized()) {
+        return res.status(503).json({
+          error: 'Eppo client is not initialized',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const enrich = isCsv ? req.query.enrich === 'true' : (req.body.enrich === true || req.query.enrich === 'true');
+      const job = await batchJobService.createJob({ type, experiment, users, enrich });
+      logger.info('Started batch job', { type, jobId: job.id, users: users.length, flagKey: experiment.flagKey });
+
+      res.status(202).json({
+        jobId: job.id,
+        type,
+        flagKey: job.flagKey,
+        status: job.status,
+        total: job.total,
+        duplicatesRemoved: duplicates,
+        statusUrl: `/batch/jobs/${job.id}`,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      if (error.code === 'INVALID_CSV') {
+        return res.status(400).json({
+          error: 'Invalid batch request',
+          details: [error.message],
+          timestamp: new Date().toISOString()
+        });
+      }
+      logger.error('Failed to start batch job', { type, err: error });
+      res.status(500).json({
+        error: `Failed to start batch ${type} job`,
+        details: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  };
+}
+
+app.post('/batch/assign', webhookAuth, createBatchJobHandler('assign'));
+app.post('/batch/send', webhookAuth, createBatchJobHandler('send'));
+
+// List batch jobs, newest first
+app.get('/batch/jobs', webhookAuth, (req, res) => {
+  res.json({ jobs: batchJobService.listJobs(), timestamp: new Date().toISOString() });
+});
+
+// Poll a batch job's progress and failures
+app.get('/batch/jobs/:jobId', webhookAuth, (req, res) => {
+  const job = batchJobService.getJob(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: `Unknown batch job: ${req.params.jobId}` });
+  }
+  res.json(job);
+});
+
+// Per-user assignment results of a batch job
+app.get('/batch/jobs/:jobId/results', webhookAuth, async (req, res) => {
   try {
-    const response = await processWebhookAndSendMessage(req.body);
-    console.log('✅ Sending webhook response:', JSON.stringify(response.messagePreview, null, 2));
-    // Braze expects a simple JSON object with the message content.
-    res.status(200).json(response.messagePreview || {});
+    const { format = 'json' } = req.query;
+    if (!batchJobService.getJob(req.params.jobId)) {
+      return res.status(404).json({ error: `Unknown batch job: ${req.params.jobId}` });
+    }
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({ error: 'format must be one of json, csv' });
+    }
+
+    const results = (await batchJobService.readResults(req.params.jobId))
+      .map(({ userId, subjectKey, variation, status, excludedBy, error }) => ({
+        userId, subjectKey: subjectKey || null, variation, status, excludedBy: excludedBy || null, ...(error && { error })
+      }));
+
+    if (format === 'csv') {
+      res.type('text/csv').attachment(`batch-${req.params.jobId}.csv`);
+      return res.send(batchJobService.toCsv(results));
+    }
+
+    res.json({ jobId: req.params.jobId, count: results.length, results });
   } catch (error) {
-    console.error('Webhook processing error:', error.message);
+    logger.error('Failed to read batch job results', { jobId: req.params.jobId, err: error });
     res.status(500).json({
-      status: "error",
-      message: "Failed to process webhook",
-      error: error.message,
+      error: 'Failed to read batch job results',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Resume an interrupted or failed batch job from where it stopped
+app.post('/batch/jobs/:jobId/resume', webhookAuth, (req, res) => {
+  try {
+    res.status(202).json(batchJobService.resumeJob(req.params.jobId));
+  } catch (error) {
+    const status = error.code === 'NOT_FOUND' ? 404 : error.code === 'CONFLICT' ? 409 : 500;
+    res.status(status).json({
+      error: 'Failed to resume batch job',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Recent loop-prevention events (callbacks, invalid tokens, de-duplicated and capped triggers)
+app.get('/loop-guard/events', webhookAuth, (req, res) => {
+  res.json({
+    stats: loopGuardService.getStats(),
+    events: loopGuardService.getRecentEvents(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Webhook responses are per user and POSTs have side effects, so nothing is cached by default
+const NO_CACHE = 'private, no-store';
+// Seconds Braze Connected Content (:cache_max_age) may reuse a GET /webhook response; opt-in
+const responseCacheMaxAge = parseInt(process.env.RESPONSE_CACHE_MAX_AGE_SECONDS, 10) || 0;
+const CONTENT_CACHE_CONTROL = responseCacheMaxAge > 0
+  // public: webhook auth sends an Authorization header, which otherwise keeps shared caches from storing it.
+  // Each user's request has its own URL, so one user's content is never served to another.
+  ? `public, max-age=${responseCacheMaxAge}`
+  : NO_CACHE;
+
+// The webhook routes process the request the same way and return the rendered
+// message in the format picked by ?format= or the Accept header. A GET reads
+// the request from the query string and only renders content (Connected
+// Content): it triggers nothing, so it is the only response that may be cached.
+function createWebhookHandler(source, { contentOnly = false } = {}) {
+  return async (req, res) => {
+    const data = contentOnly ? req.query : req.body;
+    logger.info('Received webhook', { path: source, method: req.method });
+    logger.debug('Webhook body', { body: data });
+    res.set('Cache-Control', NO_CACHE);
+    res.vary('Accept');
+
+    const { format, error: formatError } = negotiateFormat(req);
+    if (formatError) {
+      return res.status(400).json({ error: formatError });
+    }
+
+    const experiment = resolveExperimentOrRespond(req, res);
+    if (!experiment) return;
+    try {
+      const result = await processWebhookAndSendMessage(data, experiment, { source, headers: req.headers, deliver: !contentOnly });
+      const { contentType, body } = renderResponse(result, format);
+      logger.debug('Sending webhook response', { format, messagePreview: result.messagePreview });
+      // Braze gets only the message; the demo UI uses the fuller result through /send-message
+      res.status(200)
+        .set('Cache-Control', contentOnly ? CONTENT_CACHE_CONTROL : NO_CACHE)
+        .type(contentType)
+        .send(body);
+    } catch (error) {
+      if (error.code !== 'NO_SUBJECT') {
+        logger.error('Webhook processing failed', { err: error });
+      }
+      res.status(error.code === 'NO_SUBJECT' ? 400 : 500).json({
+        status: "error",
+        message: "Failed to process webhook",
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  };
+}
+
+// Main webhook endpoint - processes incoming webhooks and triggers messages
+app.post('/', webhookAuth, createWebhookHandler('/'));
+
+// Webhook endpoint - alternative route for webhook processing
+app.post('/webhook', webhookAuth, createWebhookHandler('/webhook'));
+
+// Connected Content endpoint - renders the user's variation without triggering anything
+app.get('/webhook', webhookAuth, createWebhookHandler('/webhook', { contentOnly: true }));
+
+// Send the assigned variation's message content (email, SMS, push, in-app)
+// from the experiment's `messages`. ?dryRun=true returns the Braze requests
+// without sending them.
+app.post('/messages/send', webhookAuth, async (req, res) => {
+  try {
+    const experiment = resolveExperimentOrRespond(req, res);
+    if (!experiment) return;
+
+    const flagKey = experiment.flagKey;
+    if (!experiment.messages) {
+      return res.status(400).json({
+        error: `Experiment "${flagKey}" has no messages configured`,
+        details: 'Add per-variation content under "messages" in the experiments config'
+      });
+    }
+
+    const { userAttributes = {}, channels, checkSubscriptions = true } = req.body;
+    const knownChannels = experimentService.getMessageChannels();
+    if (channels !== undefined &&
+        (!Array.isArray(channels) || channels.length === 0 || channels.some(channel => !knownChannels.includes(channel)))) {
+      return res.status(400).json({ error: `channels must be a non-empty array of ${knownChannels.join(', ')}` });
+    }
+
+    const { subject, brazeIdentities } = subjectService.resolve(req.body, experiment);
+    if (!subject) {
+      return res.status(400).json({
+        error: 'No subject identifier in request',
+        details: `Expected one of: ${subjectService.describeKeys(subjectService.getSubjectKeys(experiment))}`
+      });
+    }
+    if (!brazeService.getRecipientIdentifier({ userId: subject.id, brazeIdentities })) {
+      return res.status(400).json({
+        error: 'No Braze external ID or user alias in request',
+        details: `Messages cannot be sent by braze_id alone. Expected one of: ${subjectService.describeKeys(subjectService.brazeIdentifierKeys)}`
+      });
+    }
+    const userId = subject.id;
+    const dryRun = req.query.dryRun !== undefined
+      ? req.query.dryRun === 'true'
+      : req.body.dryRun === true || brazeService.dryRun;
+
+    const enrichment = await enrichmentService.enrich(userId, userAttributes);
+    const enrichedUserAttributes = enrichment.attributes;
+
+    // A dry run is a preview, not an exposure
+    const assignmentData = eppoService.getAssignment(flagKey, userId, enrichedUserAttributes, {
+      valueType: experiment.valueType,
+      source: '/messages/send',
+      logExposure: !dryRun
+    });
+    const variation = assignmentData.assignment;
+
+    const response = {
+      userId,
+      subject,
+      flagKey,
+      variation,
+      dryRun,
+      sent: false
+    };
+
+    const messageContent = experimentService.getMessageContent(experiment, variation);
+    if (!messageContent) {
+      return res.json({ ...response, reason: `No message content for variation "${variation}"`, timestamp: new Date().toISOString() });
+    }
+    response.contentSource = messageContent.source;
+
+    const content = templateService.renderValue(messageContent.content, {
+      ...enrichedUserAttributes,
+      attributes: enrichedUserAttributes,
+      user_id: userId,
+      subject_key: subject.key,
+      flag_key: flagKey,
+      variation
+    });
+
+    const holdout = holdoutService.evaluate(userId, enrichedUserAttributes, { source: '/messages/send', logExposure: !dryRun });
+    if (holdout && holdout.inHoldout) {
+      return res.json({ ...response, holdout, reason: `User is in the holdout group (${holdout.flagKey})`, timestamp: new Date().toISOString() });
+    }
+    // A real send reserves its slot now, so concurrent sends for the user cannot all pass
+    const frequencyCap = frequencyCapService.check(userId, experiment, { reserve: !dryRun });
+    if (!frequencyCap.allowed) {
+      return res.json({
+        ...response,
+        frequencyCap,
+        reason: `Frequency cap of ${frequencyCap.maxSends} per ${frequencyCap.windowMs}ms reached for ${flagKey}`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    let result;
+    try {
+      result = await brazeService.sendMessage({
+        userId,
+        brazeIdentities,
+        content,
+        channels,
+        extras: { eppo_flag_key: flagKey, eppo_assignment: variation },
+        campaignId: messageContent.campaignId,
+        dryRun,
+        checkSubscriptions: checkSubscriptions !== false
+      });
+    } catch (error) {
+      frequencyCapService.release(userId, experiment, frequencyCap);
+      throw error;
+    }
+
+    if (!result.sent) {
+      frequencyCapService.release(userId, experiment, frequencyCap);
+    }
+    if (!dryRun) {
+      metricsService.recordDelivery(flagKey, { type: 'message', status: result.sent ? 'triggered' : 'skipped' });
+    }
+
+    res.json({ ...response, holdout, frequencyCap, ...result, timestamp: new Date().toISOString() });
+  } catch (error) {
+    logger.error('Failed to send message', { err: error });
+    res.status(error instanceof BrazeApiError ? 502 : 500).json({
+      error: 'Failed to send message',
+      details: error.message,
+      ...(error instanceof BrazeApiError && { braze: error.toJSON() }),
       timestamp: new Date().toISOString()
     });
   }
 });
 
 // Get assignment endpoint for demo UI
-app.post('/get-assignment', async (req, res) => {
+app.post('/get-assignment', demoRoutesOnly, async (req, res) => {
   try {
-    const { userId, userAttributes = {} } = req.body;
-    if (!userId) {
-      return res.status(400).json({ error: 'userId is required' });
+    const { userAttributes = {} } = req.body;
+
+    const experiment = resolveExperimentOrRespond(req, res);
+    if (!experiment) return;
+
+    // The same subject the webhook would assign for this request
+    const { subject } = subjectService.resolve(req.body, experiment);
+    if (!subject) {
+      return res.status(400).json({
+        error: 'No subject identifier in request',
+        details: `Expected one of: ${subjectService.describeKeys(subjectService.getSubjectKeys(experiment))}`
+      });
     }
+    const userId = subject.id;
     
-    console.log(`🔍 /get-assignment called for user ${userId} with attributes:`, userAttributes);
-    
-    // Enrich user attributes with Hightouch audience data (same as processWebhookAndSendMessage)
-    const enrichedUserAttributes = await hightouchService.getEnrichedUserAttributes(userId, userAttributes);
-    console.log(`🔍 /get-assignment enriched attributes:`, enrichedUserAttributes);
+    // Enrich user attributes from the enrichment providers (same as processWebhookAndSendMessage)
+    const enrichment = await enrichmentService.enrich(userId, userAttributes);
+    const enrichedUserAttributes = enrichment.attributes;
     
-    const flagKey = process.env.EXPERIMENT_FLAG_KEY || 'braze_message_experiment';
-    const assignmentData = eppoService.getAssignment(flagKey, userId, enrichedUserAttributes);
+    const flagKey = experiment.flagKey;
+    const assignmentData = eppoService.getAssignment(flagKey, userId, enrichedUserAttributes, {
+      valueType: experiment.valueType,
+      source: '/get-assignment'
+    });
     
-    console.log(`🔍 /get-assignment result: "${assignmentData.assignment}"`);
+    logger.info('Assignment evaluated', { flagKey, userId, variation: assignmentData.assignment, attributes: enrichedUserAttributes });
     
     const response = {
       ...assignmentData,
+      subject,
+      enrichment: {
+        provenance: enrichment.provenance,
+        providers: enrichment.providers
+      },
       serverInfo: {
         flagKey,
         eppoInitialized: eppoService.isInitialized(),
@@ -110,7 +684,7 @@ app.post('/get-assignment', async (req, res) => {
     
     res.json(response);
   } catch (error) {
-    console.error('Error getting assignment:', error.message);
+    logger.error('Failed to get assignment', { err: error });
     res.status(500).json({
       error: 'Failed to get assignment',
       details: error.message,
@@ -119,24 +693,64 @@ app.post('/get-assignment', async (req, res) => {
   }
 });
 
-// Send message endpoint for demo UI (demo mode)
-app.post('/send-message', async (req, res) => {
+// Preview how a flag splits a synthetic population, per segment. No exposures
+// are logged, no enrichment provider is called and nothing is sent to Braze.
+app.post('/simulate', demoRoutesOnly, async (req, res) => {
   try {
-    console.log('--- Received /send-message request ---');
-    const { userId, userAttributes = {} } = req.body;
-    console.log(`userId from /send-message: ${userId}`);
+    const experiment = resolveExperimentOrRespond(req, res);
+    if (!experiment) return;
 
-    if (!userId) {
-      console.log('userId is missing, returning 400.');
-      return res.status(400).json({ error: 'userId is required' });
+    const count = req.body.count === undefined ? 1000 : req.body.count;
+    if (!Number.isInteger(count) || count < 1 || count > simulationService.maxUsers) {
+      return res.status(400).json({ error: `count must be a whole number between 1 and ${simulationService.maxUsers}` });
+    }
+    const distributions = req.body.distributions || simulationService.getDefaultDistributions();
+    const distributionErrors = simulationService.validateDistributions(distributions);
+    if (distributionErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid distributions', details: distributionErrors });
+    }
+    if (req.body.seed !== undefined && !Number.isInteger(req.body.seed)) {
+      return res.status(400).json({ error: 'seed must be an integer' });
+    }
+    if (!eppoService.isInitialized()) {
+      return res.status(503).json({
+        error: 'Eppo is not initialized',
+        details: 'Flag configuration has not loaded yet, see /readyz',
+        timestamp: new Date().toISOString()
+      });
     }
+
+    const simulation = await simulationService.simulate({
+      experiment,
+      count,
+      distributions,
+      seed: req.body.seed
+    });
+    logger.info('Simulation finished', { flagKey: experiment.flagKey, count, seed: simulation.seed });
+    res.json({ ...simulation, timestamp: new Date().toISOString() });
+  } catch (error) {
+    logger.error('Simulation failed', { err: error });
+    res.status(500).json({
+      error: 'Simulation failed',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Send message endpoint for demo UI (demo mode)
+app.post('/send-message', demoRoutesOnly, async (req, res) => {
+  try {
+    const { userAttributes = {} } = req.body;
+
+    const experiment = resolveExperimentOrRespond(req, res);
+    if (!experiment) return;
     
-    console.log('Calling processWebhookAndSendMessage from /send-message...');
+    // Identifiers (userId, account_id, email...) are passed through for subject resolution
     const webhookResponse = await processWebhookAndSendMessage({ 
-      userId,                 // internal call – keep camelCase so it is NOT classified as Braze webhook
+      ...req.body,
       user_attributes: userAttributes 
-    });
-    console.log('processWebhookAndSendMessage completed successfully.');
+    }, experiment, { source: '/send-message', internal: true });
 
     const responsePayload = {
       messagePreview: webhookResponse.messagePreview,
@@ -151,12 +765,13 @@ app.post('/send-message', async (req, res) => {
       note: 'This is a demo response. No real messages were sent.'
     };
     
-    console.log('Sending final response to the UI.');
     res.json(responsePayload);
 
   } catch (error) {
-    console.error('--- FATAL ERROR in /send-message endpoint ---', error);
-    res.status(500).json({
+    if (error.code !== 'NO_SUBJECT') {
+      logger.error('Failed to process /send-message', { err: error });
+    }
+    res.status(error.code === 'NO_SUBJECT' ? 400 : 500).json({
       error: 'Failed to process demo message',
       details: error.message
     });
@@ -179,7 +794,7 @@ app.post('/get-audiences', async (req, res) => {
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    console.error('Error getting audiences:', error.message);
+    logger.error('Failed to get audiences', { err: error });
     res.status(500).json({
       error: 'Failed to get audiences',
       details: error.message,
@@ -191,170 +806,301 @@ app.post('/get-audiences', async (req, res) => {
 // Event tracking endpoint
 app.post('/track-event', async (req, res) => {
   try {
-    const { userId, eventName, eventProperties = {}, userAttributes = {} } = req.body;
+    const { eventName, eventProperties = {}, userAttributes = {} } = req.body;
 
-    if (!userId || !eventName) {
-      return res.status(400).json({ error: 'userId and eventName are required' });
+    if (!eventName) {
+      return res.status(400).json({ error: 'eventName is required' });
     }
 
-    // Get feature flag assignment
-    const flagKey = process.env.EXPERIMENT_FLAG_KEY || 'braze_message_experiment';
-    const flagAssignment = eppoService.getAssignment(flagKey, userId, userAttributes);
+    const experiment = resolveExperimentOrRespond(req, res);
+    if (!experiment) return;
+
+    const { subject, brazeIdentities } = subjectService.resolve(req.body, experiment);
+    if (!subject) {
+      return res.status(400).json({
+        error: 'No subject identifier in request',
+        details: `Expected one of: ${subjectService.describeKeys(subjectService.getSubjectKeys(experiment))}`
+      });
+    }
+    if (brazeIdentities.length === 0) {
+      return res.status(400).json({
+        error: 'No Braze identifier in request',
+        details: `Expected one of: ${subjectService.describeKeys(subjectService.brazeIdentifierKeys)}`
+      });
+    }
+    const userId = subject.id;
+
+    // Attribute the event to the variant the user was first exposed to, rather
+    // than re-evaluating the flag now with whatever attributes came with the event
+    const flagKey = experiment.flagKey;
+    const eventTime = new Date();
+    const attribution = exposureService.attributeEvent(userId, flagKey, eventTime);
 
-    // Add flag information to event properties
     const enrichedProperties = {
       ...eventProperties,
       eppo_flag_key: flagKey,
-      eppo_assignment: flagAssignment,
-      experiment_id: process.env.EXPERIMENT_FLAG_KEY,
-      timestamp: new Date().toISOString()
+      eppo_exposed: attribution.exposed,
+      ...(attribution.exposed && {
+        eppo_assignment: attribution.variation,
+        eppo_allocation_key: attribution.allocation,
+        eppo_exposure_timestamp: attribution.exposedAt,
+        eppo_time_to_convert_ms: attribution.timeToConvertMs
+      }),
+      experiment_id: flagKey,
+      timestamp: eventTime.toISOString()
     };
+    if (!attribution.exposed) {
+      logger.warn('Event tracked without a prior exposure', { userId, flagKey, eventName });
+    }
 
-    // Track event in Braze with flag context
-    const brazeResponse = await brazeService.trackEvent({
+    if (brazeTrackQueue.isFull()) {
+      return res.status(503).json({
+        error: 'Failed to track event',
+        details: 'Braze track queue is full, try again later'
+      });
+    }
+
+    // Keep the event for the results dashboard, whether or not the Braze write succeeds
+    conversionLogService.recordConversion({
+      userId,
+      flagKey,
+      variation: attribution.variation,
+      eventName,
+      eventProperties,
+      source: '/track-event'
+    });
+
+    // Queue the event for the next batched /users/track call with flag context
+    const tracked = brazeTrackQueue.enqueue({
       userId,
+      brazeIdentities,
       eventName,
       eventProperties: enrichedProperties,
       userAttributes: {
         ...userAttributes,
-        eppo_variant: flagAssignment
+        // Leave the profile's variant alone when there is nothing to attribute to
+        ...(attribution.exposed && { eppo_variant: attribution.variation })
       }
     });
 
+    // ?async=true or "Prefer: respond-async" answers as soon as the event is queued
+    const respondAsync = req.query.async !== undefined
+      ? req.query.async === 'true'
+      : /respond-async/.test(req.get('Prefer') || '') || process.env.BRAZE_TRACK_ASYNC === 'true';
+
+    if (respondAsync) {
+      tracked.catch(() => {}); // failures are logged and counted by the queue
+      return res.status(202).json({
+        success: true,
+        queued: true,
+        userId,
+        subject,
+        eventName,
+        eppoVariant: attribution.variation,
+        attribution,
+        eventProperties: enrichedProperties,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const brazeResponse = await tracked;
+
     res.json({
       success: true,
       userId,
+      subject,
       eventName,
-      eppoVariant: flagAssignment,
+      eppoVariant: attribution.variation,
+      attribution,
       eventProperties: enrichedProperties,
-      brazeResponse: brazeResponse.data,
+      brazeResponse,
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
-    console.error('Error tracking event:', error.message);
-    res.status(500).json({
+    logger.error('Failed to track event', { err: error });
+    const status = error.code === 'QUEUE_FULL' ? 503 : error instanceof BrazeApiError ? 502 : 500;
+    res.status(status).json({
       error: 'Failed to track event',
-      details: error.message
+      details: error.message,
+      ...(error instanceof BrazeApiError && { braze: error.toJSON() })
     });
   }
 });
 
+// Checks run before a delivery is triggered, cheapest and most certain first:
+// placeholder IDs, a Braze identity to trigger for, request origin (loop
+// prevention), holdout, frequency cap, then the loop guard's de-duplication
+// window and trigger cap
+function decideDelivery({ userId, brazeIdentities, experiment, target, origin, token, holdout }) {
+  const flagKey = experiment.flagKey;
+
+  if (target.id.includes('your_')) {
+    logger.warn('Placeholder delivery target ID: set a real Braze ID in .env or the experiments config', { type: target.type, id: target.id });
+    return { allowed: false, reason: 'Placeholder ID', frequencyCap: null };
+  }
+
+  if (!brazeService.getRecipientIdentifier({ userId, brazeIdentities })) {
+    return { allowed: false, reason: 'No Braze external ID or user alias to trigger for', frequencyCap: null };
+  }
+
+  const originCheck = loopGuardService.checkOrigin({ userId, flagKey, target, origin, token });
+  if (!originCheck.allowed) {
+    return { ...originCheck, frequencyCap: null };
+  }
+
+  if (holdout && holdout.inHoldout) {
+    return { allowed: false, reason: `User is in the holdout group (${holdout.flagKey})`, frequencyCap: null };
+  }
+
+  // Reserves the send if allowed; it is released again if the trigger does not go out
+  const frequencyCap = frequencyCapService.check(userId, experiment);
+  if (!frequencyCap.allowed) {
+    logger.info('Frequency cap reached', { userId, flagKey, sends: frequencyCap.sends, maxSends: frequencyCap.maxSends });
+    return {
+      allowed: false,
+      reason: `Frequency cap of ${frequencyCap.maxSends} per ${frequencyCap.windowMs}ms reached for ${flagKey}`,
+      frequencyCap
+    };
+  }
+
+  const trigger = loopGuardService.reserveTrigger({ userId, flagKey, target });
+  if (!trigger.allowed) {
+    frequencyCapService.release(userId, experiment, frequencyCap);
+  }
+  return { ...trigger, frequencyCap };
+}
+
 // Core webhook processing function
-async function processWebhookAndSendMessage(webhookData) {
-  // Determine if the incoming data is from a Braze webhook or another source
-  const isFromBrazeWebhook =
-    webhookData.trigger_properties !== undefined ||               // present on Braze callbacks
-    webhookData.eppo_variant      !== undefined ||
-    webhookData.eppo_flagkey      !== undefined ||
-    webhookData.subject           !== undefined;                  // remote_include fallback
-
-  // Extract user information
-  const userId =
-    webhookData.user_id            ||
-    webhookData.external_user_id   ||
-    webhookData.userId             ||
-    webhookData.subject            ||    // Braze passes {{external_user_id}} as subject when not in body
-    'unknown-user';
+async function processWebhookAndSendMessage(webhookData, experiment, { source = 'webhook', headers = {}, internal = false, deliver = true } = {}) {
+  // Determine where the request came from: a callback caused by our own trigger
+  // (correlation token), a Braze webhook, an internal caller or anything else
+  const { origin, token } = loopGuardService.resolveOrigin(webhookData, { headers, internal });
 
+  // The subject is what Eppo assigns (user, account, device...); Braze
+  // identities are how the same request addresses a user in Braze
+  const { subject, brazeIdentities } = subjectService.resolve(webhookData, experiment);
   const userAttributes = webhookData.user_attributes || webhookData.attributes || {};
+  const flagKey = experiment.flagKey;
 
-  if (userId === 'unknown-user') {
-    console.warn('⚠️ Could not determine userId from webhook/request body:', JSON.stringify(webhookData, null, 2));
+  if (!subject) {
+    return respondWithoutSubject(webhookData, experiment, { userAttributes, origin, deliver });
   }
+  const userId = subject.id;
   
-  // Enrich user attributes with Hightouch audience data
-  const enrichedUserAttributes = await hightouchService.getEnrichedUserAttributes(userId, userAttributes);
+  // Enrich user attributes from the enrichment providers (Hightouch by default)
+  const enrichment = await enrichmentService.enrich(userId, userAttributes);
+  const enrichedUserAttributes = enrichment.attributes;
   
-  // Get Eppo assignment for this user with enriched attributes
-  const flagKey = process.env.EXPERIMENT_FLAG_KEY || 'braze_message_experiment';
-  const assignmentData = eppoService.getAssignment(flagKey, userId, enrichedUserAttributes);
+  // Get Eppo assignment for this subject with enriched attributes
+  const assignmentData = eppoService.getAssignment(flagKey, userId, enrichedUserAttributes, {
+    valueType: experiment.valueType,
+    source
+  });
   const assignment = assignmentData.assignment;
   
-  console.log(`🎯 EPPO ASSIGNMENT DEBUG for user ${userId}:`);
-  console.log(`   - Assignment: "${assignment}"`);
-  console.log(`   - Assignment type: ${typeof assignment}`);
-  console.log(`   - Enriched attributes:`, enrichedUserAttributes);
-
-  // Only trigger the campaign if this is NOT a webhook call from Braze, to prevent a loop
-  if (!isFromBrazeWebhook) {
-    const campaignId = process.env.BRAZE_WEBHOOK_CAMPAIGN_ID;
-    
+  logger.info('Assignment evaluated', { flagKey, userId, subjectKey: subject.key, variation: assignment, origin, attributes: enrichedUserAttributes });
+
+  // Holdout users keep their experiment exposure above but are never sent anything
+  const holdout = holdoutService.evaluate(userId, enrichedUserAttributes, { source });
+
+  // Pick the campaign or Canvas for this variation, then decide whether it may be triggered
+  const target = deliver ? experimentService.getDeliveryTarget(experiment, assignment) : null;
+  const delivery = target
+    ? { type: target.type, id: target.id, source: target.source, status: 'skipped' }
+    : { type: null, id: null, source: null, status: 'skipped', reason: deliver ? 'No delivery target configured' : 'Content-only request' };
+  const decision = target
+    ? decideDelivery({ userId, brazeIdentities, experiment, target, origin, token, holdout })
+    : null;
+  delivery.holdout = holdout;
+  delivery.frequencyCap = decision ? decision.frequencyCap : null;
+
+  if (!deliver) {
+    logger.debug('Content-only request, nothing to trigger', { flagKey, variation: assignment });
+  } else if (!target) {
+    logger.info('No delivery target or BRAZE_WEBHOOK_CAMPAIGN_ID configured, skipping trigger', { flagKey, variation: assignment });
+  } else if (!decision.allowed) {
+    logger.info('Skipping delivery trigger', { userId, flagKey, type: target.type, id: target.id, origin, reason: decision.reason });
+    delivery.reason = decision.reason;
+  } else {
     try {
-      if (campaignId && campaignId.includes('your_')) {
-        console.warn(`⚠️ Skipping campaign trigger: Please set a real Braze campaign ID in your .env file.`);
-      } else if (campaignId) {
-        console.log('About to trigger Braze campaign...');
-        await brazeService.triggerCampaign({
-          userId,
-          campaignId,
-          triggerProperties: {
-            eppo_flag_key: flagKey,
-            eppo_assignment: assignment,
-          },
-          userAttributes: {
-            eppo_gate: true,
-            ...enrichedUserAttributes
-          }
-        });
-        console.log('brazeService.triggerCampaign call completed.');
-        console.log('The assignment value is:', assignment);
-        console.log('The type of assignment is:', typeof assignment);
-        console.log(`✅ Successfully triggered campaign ${campaignId} for user ${userId} with assignment: ${assignment}`);
-      } else {
-        console.log('No BRAZE_WEBHOOK_CAMPAIGN_ID configured. Skipping trigger.');
-      }
-    } catch(brazeError) {
-      console.error(`Braze campaign trigger error for user ${userId}:`, brazeError.message);
+      const response = await brazeService.triggerDelivery(target, {
+        userId,
+        brazeIdentities,
+        properties: {
+          ...target.properties,
+          eppo_flag_key: flagKey,
+          eppo_assignment: assignment,
+          // Braze sends this back on the webhook the trigger causes, marking it as ours
+          ...loopGuardService.tokenProperties({ userId, flagKey, targetId: target.id })
+        },
+        userAttributes: {
+          eppo_gate: true,
+          ...enrichedUserAttributes
+        }
+      });
+      delivery.status = 'triggered';
+      delivery.dispatchId = response && response.dispatch_id;
+      logger.info('Triggered delivery', { userId, flagKey, variation: assignment, type: target.type, id: target.id });
+    } catch (brazeError) {
+      logger.error('Delivery trigger failed', { userId, flagKey, type: target.type, id: target.id, err: brazeError });
+      frequencyCapService.release(userId, experiment, decision.frequencyCap);
       // Do not block the response for this error
+      delivery.status = 'failed';
+      delivery.reason = brazeError.message;
     }
   }
+  if (deliver) {
+    metricsService.recordDelivery(flagKey, delivery);
+  }
   
   // Determine what message would be sent (demo mode - no actual sending)
+
+  const templateContext = {
+    ...enrichedUserAttributes,
+    attributes: enrichedUserAttributes,
+    user_id: userId,
+    subject_key: subject.key,
+    flag_key: flagKey,
+    variation: assignment
+  };
+
   let messagePreview;
-  
-  console.log(`📧 MESSAGE GENERATION DEBUG for user ${userId}:`);
-  console.log(`   - About to check assignment: "${assignment}"`);
-  console.log(`   - assignment === 'treatment': ${assignment === 'treatment'}`);
-  console.log(`   - assignment === 'control': ${assignment === 'control'}`);
-  
-  if (assignment === 'treatment') {
-    console.log(`   - ✅ Generating TREATMENT message`);
-    messagePreview = {
-      type: 'TREATMENT',
-      subject: "🎉 Special Offer - Treatment Version!",
-      body: "You've been selected for our premium treatment experience!",
-      message_variation_id: "treatment_variation"
-    };
-  } else if (assignment === 'control') {
-    console.log(`   - ✅ Generating CONTROL message`);
-    messagePreview = {
-      type: 'CONTROL', 
-      subject: "📰 Your Weekly Update",
-      body: "Here's your regular weekly update with the latest news.",
-      message_variation_id: "control_variation"
-    };
-  } else {
-    console.log(`   - ✅ Generating DEFAULT message (assignment was: "${assignment}")`);
-    messagePreview = {
-      type: 'DEFAULT',
-      subject: "👋 Hello from our integration!",
-      body: "This is a default message for users not in the experiment.",
-      message_variation_id: "default_variation"
-    };
+  let templateSource;
+
+  // JSON flags carry the message content themselves; fall back to the catalog if it is invalid
+  if (experiment.valueType === 'json' && assignmentData.value !== null && assignmentData.value !== undefined) {
+    const validationErrors = templateService.validateMessage(assignmentData.value);
+    if (validationErrors.length === 0) {
+      messagePreview = templateService.renderValue(assignmentData.value, templateContext);
+      templateSource = 'flag';
+    } else {
+      logger.warn('JSON variation is not a valid message, using template catalog', { flagKey, variation: assignment, validationErrors });
+    }
   }
-  
-  console.log(`   - Final messagePreview.type: "${messagePreview.type}"`);
-  console.log(`   - Final messagePreview.subject: "${messagePreview.subject}"`);
+
+  if (!messagePreview) {
+    ({ messagePreview, templateSource } = templateService.renderMessage(flagKey, assignment, templateContext));
+  }
+
+  logger.debug('Rendered message', { flagKey, variation: assignment, templateSource, type: messagePreview.type, subject: messagePreview.subject });
   
   // Return the full, structured object for internal use (e.g., by the demo UI).
   // The webhook endpoints will extract and send only the messagePreview to Braze.
   return {
     userId,
+    subject,
     eppoAssignment: assignment,
     flagKey,
     assignmentDetails: assignmentData.assignmentDetails,
+    enrichment: {
+      provenance: enrichment.provenance,
+      providers: enrichment.providers
+    },
     messagePreview,
+    templateSource,
+    origin,
+    delivery,
     messageType: assignment || 'default',
     timestamp: new Date().toISOString(),
     demo_mode: true,
@@ -362,10 +1108,100 @@ async function processWebhookAndSendMessage(webhookData) {
   };
 }
 
+// A request with none of the experiment's subject keys is either rejected
+// (MISSING_SUBJECT_ACTION=reject) or served the flag's default template.
+// Either way nothing is assigned, enriched or triggered.
+function respondWithoutSubject(webhookData, experiment, { userAttributes, origin, deliver = true }) {
+  const flagKey = experiment.flagKey;
+  const expected = subjectService.describeKeys(subjectService.getSubjectKeys(experiment));
+
+  if (subjectService.missingSubjectAction === 'reject') {
+    logger.warn('Rejecting request without a subject identifier', { flagKey, bodyKeys: Object.keys(webhookData) });
+    const error = new Error(`No subject identifier in request, expected one of: ${expected}`);
+    error.code = 'NO_SUBJECT';
+    throw error;
+  }
+
+  logger.warn('No subject identifier in request, serving the default template', { flagKey, bodyKeys: Object.keys(webhookData) });
+  const delivery = { type: null, id: null, source: null, status: 'skipped', reason: 'No subject identifier' };
+  if (deliver) {
+    metricsService.recordDelivery(flagKey, delivery);
+  }
+
+  const { messagePreview, templateSource } = templateService.renderMessage(flagKey, null, {
+    ...userAttributes,
+    attributes: userAttributes,
+    flag_key: flagKey
+  });
+
+  return {
+    userId: null,
+    subject: null,
+    eppoAssignment: null,
+    flagKey,
+    assignmentDetails: null,
+    enrichment: null,
+    messagePreview,
+    templateSource,
+    origin,
+    delivery,
+    messageType: 'default',
+    timestamp: new Date().toISOString(),
+    demo_mode: true,
+    note: `No subject identifier (expected one of: ${expected}), served the default template`
+  };
+}
+
 // Start server
-app.listen(PORT, () => {
-  console.log(`Braze-Eppo integration server running on port ${PORT}`);
-  console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`Experiment flag key: ${process.env.EXPERIMENT_FLAG_KEY || 'braze_message_experiment'}`);
-  console.log(`Demo available at: http://localhost:${PORT}`);
-});
\ No newline at end of file
+const server = app.listen(PORT, () => {
+  logger.info('Braze-Eppo integration server running', {
+    port: PORT,
+    environment: process.env.NODE_ENV || 'development',
+    defaultFlagKey: experimentService.defaultFlagKey,
+    experiments: experimentService.getSummary().experiments.map(e => e.flagKey),
+    webhookAuth: webhookAuth.enabled,
+    demo: demoRoutesOnly.enabled ? `http://localhost:${PORT}` : 'disabled'
+  });
+});
+
+// Flush pending writes before exiting
+async function shutdown(signal) {
+  logger.info('Shutting down', { signal });
+  healthService.markShuttingDown();
+  server.close();
+  try {
+    // Running batch jobs stop after their current chunk and can be resumed after restart
+    await batchJobService.stop();
+  } catch (error) {
+    logger.error('Failed to stop batch jobs', { err: error });
+  }
+  try {
+    await frequencyCapService.flush();
+  } catch (error) {
+    logger.error('Failed to save frequency cap history', { err: error });
+  }
+  try {
+    await exposureService.flush();
+  } catch (error) {
+    logger.error('Failed to save exposure history', { err: error });
+  }
+  try {
+    await brazeTrackQueue.drain();
+  } catch (error) {
+    logger.error('Failed to flush Braze track queue', { err: error });
+  }
+  try {
+    await assignmentLogService.flush();
+  } catch (error) {
+    logger.error('Failed to flush assignment log', { err: error });
+  }
+  try {
+    await conversionLogService.flush();
+  } catch (error) {
+    logger.error('Failed to flush conversion log', { err: error });
+  }
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
@@ -0,0 +1,96 @@
+const path = require('path');
+const { createAssignmentSink } = require('./assignmentSinks');
+const { getRequestId } = require('./logger');
+
+const DEFAULT_LOG_PATH = path.join(__dirname, '..', 'data', 'assignments.ndjson');
+
+const CSV_COLUMNS = [
+  'timestamp', 'flagKey', 'allocation', 'variation', 'subject', 'experiment', 'source', 'requestId', 'subjectAttributes'
+];
+
+class AssignmentLogService {
+  constructor() {
+    this.sinkType = process.env.ASSIGNMENT_SINK || 'ndjson';
+    this.filePath = process.env.ASSIGNMENT_LOG_PATH || DEFAULT_LOG_PATH;
+    this.sink = null;
+    this.recordedCount = 0;
+  }
+
+  /**
+   * Replace the sink assignments are persisted to
+   * @param {Object} sink - Implements write(record), query(filters, limit) and flush()
+   */
+  setSink(sink) {
+    this.sink = sink;
+  }
+
+  getSink() {
+    if (!this.sink) {
+      this.sink = createAssignmentSink(this.sinkType, { filePath: this.filePath });
+    }
+    return this.sink;
+  }
+
+  /**
+   * Persist an assignment reported by the Eppo assignment logger
+   * @param {Object} assignment - The assignment event from Eppo
+   * @param {Object} context - { flagKey, userId, userAttributes, source } of the request
+   */
+  recordAssignment(assignment, context = {}) {
+    const record = {
+      timestamp: assignment.timestamp || new Date().toISOString(),
+      flagKey: assignment.featureFlag || assignment.flagKey || context.flagKey || null,
+      allocation: assignment.allocation || null,
+      variation: assignment.variation ?? null,
+      subject: assignment.subject || context.userId || null,
+      experiment: assignment.experiment || null,
+      subjectAttributes: assignment.subjectAttributes || context.userAttributes || {},
+      source: context.source || 'unknown',
+      // Ties the exposure to the request's log lines and Braze/Hightouch calls
+      requestId: getRequestId() || null
+    };
+
+    this.recordedCount += 1;
+    this.getSink().write(record);
+    return record;
+  }
+
+  /**
+   * Query persisted assignments
+   * @param {Object} filters - { flagKey, userId, variation, source, from, to }
+   * @param {number} limit - Maximum number of records to return
+   * @returns {Promise<Array>} Matching assignment records, oldest first
+   */
+  queryAssignments(filters = {}, limit = Infinity) {
+    return this.getSink().query(filters, limit);
+  }
+
+  toNdjson(records) {
+    return records.map(record => JSON.stringify(record)).join('\n') + (records.length ? '\n' : '');
+  }
+
+  toCsv(records) {
+    const escape = value => {
+      if (value === null || value === undefined) return '';
+      const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = records.map(record => CSV_COLUMNS.map(column => escape(record[column])).join(','));
+    return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+  }
+
+  flush() {
+    return this.sink ? this.sink.flush() : Promise.resolve();
+  }
+
+  getStats() {
+    return {
+      sink: this.getSink().type,
+      filePath: this.getSink().type === 'ndjson' ? this.filePath : undefined,
+      recordedSinceStart: this.recordedCount
+    };
+  }
+}
+
+module.exports = new AssignmentLogService();
@@ -0,0 +1,128 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('assignmentSinks');
+
+/**
+ * Check a stored assignment against query filters
+ * @param {Object} record - A persisted assignment
+ * @param {Object} filters - { flagKey, userId, variation, source, from, to }
+ * @returns {boolean}
+ */
+function matchesFilters(record, { flagKey, userId, variation, source, from, to } = {}) {
+  if (flagKey && record.flagKey !== flagKey) return false;
+  if (userId && record.subject !== userId) return false;
+  if (variation && record.variation !== variation) return false;
+  if (source && record.source !== source) return false;
+
+  const time = Date.parse(record.timestamp);
+  if (from && time < Date.parse(from)) return false;
+  if (to && time > Date.parse(to)) return false;
+
+  return true;
+}
+
+/**
+ * Appends each assignment as one JSON line to a local file. Writes are
+ * chained so lines never interleave.
+ */
+class NdjsonAssignmentSink {
+  constructor(filePath) {
+    this.type = 'ndjson';
+    this.filePath = filePath;
+    this.pending = Promise.resolve();
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  }
+
+  write(record) {
+    const line = `${JSON.stringify(record)}\n`;
+    this.pending = this.pending
+      .then(() => fs.promises.appendFile(this.filePath, line))
+      .catch(error => logger.error('Failed to persist assignment', { err: error }));
+    return this.pending;
+  }
+
+  async query(filters = {}, limit = Infinity) {
+    await this.pending;
+    if (!fs.existsSync(this.filePath)) return [];
+
+    const results = [];
+    const lines = readline.createInterface({
+      input: fs.createReadStream(this.filePath),
+      crlfDelay: Infinity
+    });
+
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        continue; // skip a partially written line
+      }
+      if (matchesFilters(record, filters)) {
+        results.push(record);
+        if (results.length >= limit) {
+          lines.close();
+          break;
+        }
+      }
+    }
+
+    return results;
+  }
+
+  flush() {
+    return this.pending;
+  }
+}
+
+/**
+ * Keeps assignments in memory only. Useful for tests and local demos.
+ */
+class MemoryAssignmentSink {
+  constructor() {
+    this.type = 'memory';
+    this.records = [];
+  }
+
+  write(record) {
+    this.records.push(record);
+    return Promise.resolve();
+  }
+
+  async query(filters = {}, limit = Infinity) {
+    return this.records.filter(record => matchesFilters(record, filters)).slice(0, limit);
+  }
+
+  flush() {
+    return Promise.resolve();
+  }
+}
+
+/**
+ * Create the assignment sink named by type. Custom sinks only need
+ * write(record), query(filters, limit) and flush().
+ * @param {string} type - 'ndjson' or 'memory'
+ * @param {Object} options - { filePath }
+ * @returns {Object} The sink
+ */
+function createAssignmentSink(type, { filePath } = {}) {
+  switch (type) {
+    case 'ndjson':
+      return new NdjsonAssignmentSink(filePath);
+    case 'memory':
+      return new MemoryAssignmentSink();
+    default:
+      throw new Error(`Unknown assignment sink type: ${type}`);
+  }
+}
+
+module.exports = {
+  createAssignmentSink,
+  NdjsonAssignmentSink,
+  MemoryAssignmentSink,
+  matchesFilters
+};
@@ -0,0 +1,270 @@
+const fs = require('fs');
+const path = require('path');
+const { PROVIDER_NAMES } = require('./enrichmentProviders');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('attributeMapping');
+
+const DEFAULT_MAPPING_PATH = path.join(__dirname, '..', 'config', 'attribute-mapping.json');
+
+// Request attributes are always available; enrichment providers are added at load time
+const REQUEST_PROVIDER = 'request';
+const TYPES = ['string', 'number', 'boolean', 'any'];
+const COMBINE_MODES = ['first', 'any'];
+
+class AttributeMappingService {
+  constructor() {
+    this.mappingPath = process.env.ATTRIBUTE_MAPPING_PATH || DEFAULT_MAPPING_PATH;
+    this.mapping = null;
+    this.providers = [REQUEST_PROVIDER];
+    this.knownProviders = [...PROVIDER_NAMES, REQUEST_PROVIDER];
+  }
+
+  /**
+   * Load and validate the attribute mapping. Throws with every validation
+   * error so a bad mapping is caught at startup, not on the first webhook.
+   * The mapping may refer to any provider that exists; those that are not
+   * registered simply never supply data, so one mapping serves every
+   * ENRICHMENT_PROVIDERS setting.
+   * @param {Array<string>} providerNames - Registered enrichment providers, in default precedence order
+   * @returns {Object} The loaded mapping
+   */
+  loadMapping(providerNames = ['hightouch']) {
+    this.providers = [...providerNames, REQUEST_PROVIDER];
+    this.knownProviders = [...new Set([...PROVIDER_NAMES, ...this.providers])];
+
+    let mapping;
+    try {
+      mapping = JSON.parse(fs.readFileSync(this.mappingPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to read attribute mapping at ${this.mappingPath}: ${error.message}`);
+    }
+
+    const errors = this.validateMapping(mapping);
+    if (errors.length > 0) {
+      throw new Error(`Invalid attribute mapping (${this.mappingPath}):\n  - ${errors.join('\n  - ')}`);
+    }
+
+    const unregistered = this.getReferencedProviders(mapping).filter(provider => !this.providers.includes(provider));
+    if (unregistered.length > 0) {
+      logger.info('Attribute mapping refers to providers that are not enabled; their sources are skipped', {
+        providers: unregistered
+      });
+    }
+
+    const precedence = (mapping.precedence || this.providers).filter(provider => this.providers.includes(provider));
+    this.mapping = {
+      // Providers missing from an explicit precedence list still apply, last
+      precedence: [...precedence, ...this.providers.filter(provider => !precedence.includes(provider))],
+      passthrough: { [REQUEST_PROVIDER]: true, ...mapping.passthrough },
+      rules: mapping.rules
+    };
+
+    logger.info('Loaded attribute mapping', { rules: this.mapping.rules.length, path: this.mappingPath });
+    return this.mapping;
+  }
+
+  validateMapping(mapping) {
+    const errors = [];
+
+    if (!mapping || typeof mapping !== 'object') {
+      return ['mapping must be an object'];
+    }
+
+    const providers = this.knownProviders;
+
+    if (mapping.precedence !== undefined) {
+      if (!Array.isArray(mapping.precedence) || mapping.precedence.some(provider => !providers.includes(provider))) {
+        errors.push(`"precedence" must be an array of ${providers.join(', ')}`);
+      }
+    }
+
+    Object.entries(mapping.passthrough || {}).forEach(([provider, setting]) => {
+      if (!providers.includes(provider)) {
+        errors.push(`"passthrough.${provider}": unknown provider, expected one of ${providers.join(', ')}`);
+      } else if (typeof setting !== 'boolean' && !Array.isArray(setting)) {
+        errors.push(`"passthrough.${provider}" must be a boolean or an array of paths`);
+      }
+    });
+
+    if (!Array.isArray(mapping.rules)) {
+      errors.push('"rules" must be an array');
+      return errors;
+    }
+
+    const targets = new Set();
+    mapping.rules.forEach((rule, index) => {
+      const label = `rules[${index}]${rule && rule.target ? ` (${rule.target})` : ''}`;
+
+      if (!rule || typeof rule.target !== 'string' || !rule.target) {
+        errors.push(`${label}: "target" is required`);
+        return;
+      }
+      if (targets.has(rule.target)) {
+        errors.push(`${label}: duplicate target`);
+      }
+      targets.add(rule.target);
+
+      if (rule.type !== undefined && !TYPES.includes(rule.type)) {
+        errors.push(`${label}: "type" must be one of ${TYPES.join(', ')}`);
+      }
+      if (rule.combine !== undefined && !COMBINE_MODES.includes(rule.combine)) {
+        errors.push(`${label}: "combine" must be one of ${COMBINE_MODES.join(', ')}`);
+      }
+      if (rule.fallthrough !== undefined && typeof rule.fallthrough !== 'boolean') {
+        errors.push(`${label}: "fallthrough" must be a boolean`);
+      }
+      if (rule.default !== undefined && rule.type && rule.type !== 'any' && this.coerce(rule.default, rule.type) === undefined) {
+        errors.push(`${label}: "default" cannot be coerced to ${rule.type}`);
+      }
+      if (!Array.isArray(rule.sources) || rule.sources.length === 0) {
+        errors.push(`${label}: "sources" must be a non-empty array`);
+        return;
+      }
+
+      rule.sources.forEach((source, sourceIndex) => {
+        if (!source || !providers.includes(source.from)) {
+          errors.push(`${label}.sources[${sourceIndex}]: "from" must be one of ${providers.join(', ')}`);
+        }
+        if (!source || typeof source.path !== 'string' || !source.path) {
+          errors.push(`${label}.sources[${sourceIndex}]: "path" is required`);
+        }
+      });
+    });
+
+    return errors;
+  }
+
+  // Every provider named in the precedence list, passthrough settings or rule sources
+  getReferencedProviders(mapping) {
+    const referenced = [
+      ...(mapping.precedence || []),
+      ...Object.keys(mapping.passthrough || {}),
+      ...mapping.rules.flatMap(rule => rule.sources.map(source => source.from))
+    ];
+    return [...new Set(referenced)];
+  }
+
+  /**
+   * Build Eppo subject attributes from the configured rules
+   * @param {Object} data - Per-provider data, e.g. { request: {...}, hightouch: { audiences, attributes } }.
+   *   A provider without data should be left out.
+   * @returns {Object} { attributes, provenance } where provenance maps each attribute to its provider
+   */
+  applyMapping(data) {
+    if (!this.mapping) {
+      this.loadMapping();
+    }
+
+    const { precedence, passthrough, rules } = this.mapping;
+    const attributes = {};
+    const provenance = {};
+
+    const copyFrom = (provider, object) => {
+      Object.entries(object).forEach(([key, value]) => {
+        attributes[key] = value;
+        provenance[key] = provider;
+      });
+    };
+
+    // Lowest precedence first, so higher-precedence providers overwrite
+    [...precedence].reverse().forEach(provider => {
+      const setting = passthrough[provider];
+      if (!setting || !data[provider]) return;
+
+      if (setting === true) {
+        copyFrom(provider, data[provider]);
+        return;
+      }
+      setting.forEach(sourcePath => {
+        const value = this.lookup(data[provider], sourcePath);
+        if (value && typeof value === 'object') {
+          copyFrom(provider, value);
+        }
+      });
+    });
+
+    rules.forEach(rule => {
+      const resolved = this.resolveRule(rule, data, precedence);
+      if (resolved.value !== undefined) {
+        attributes[rule.target] = resolved.value;
+        provenance[rule.target] = resolved.provider;
+      }
+    });
+
+    return { attributes, provenance };
+  }
+
+  /**
+   * Resolve one rule. Providers are tried in precedence order; within a
+   * provider, "first" takes the first value found and "any" ORs them all.
+   * A provider that yields nothing falls through to the next one, unless
+   * the rule sets "fallthrough": false and that provider had data at all.
+   */
+  resolveRule(rule, data, precedence) {
+    const type = rule.type || 'any';
+
+    for (const provider of precedence) {
+      const sources = rule.sources.filter(source => source.from === provider);
+      if (sources.length === 0 || !data[provider]) continue;
+
+      const values = [];
+      for (const source of sources) {
+        let value = this.lookup(data[provider], source.path);
+        if (value === undefined || value === null) continue;
+
+        // An "equals" source contributes true on a match and nothing otherwise
+        if (source.equals !== undefined) {
+          if (value !== source.equals) continue;
+          value = true;
+        }
+
+        value = this.coerce(value, type);
+        if (value === undefined) {
+          logger.warn('Could not coerce attribute', { provider, path: source.path, type, target: rule.target });
+          continue;
+        }
+
+        values.push(value);
+        if (rule.combine !== 'any') break;
+      }
+
+      if (values.length > 0) {
+        return { value: rule.combine === 'any' ? values.some(Boolean) : values[0], provider };
+      }
+      if (rule.fallthrough === false) break;
+    }
+
+    return {
+      value: rule.default !== undefined ? this.coerce(rule.default, type) : undefined,
+      provider: 'default'
+    };
+  }
+
+  coerce(value, type) {
+    switch (type) {
+      case 'string':
+        return typeof value === 'object' ? undefined : String(value);
+      case 'number': {
+        const number = typeof value === 'number' ? value : Number(value);
+        return value === '' || Number.isNaN(number) ? undefined : number;
+      }
+      case 'boolean':
+        if (typeof value === 'boolean') return value;
+        if (value === 'true' || value === 1 || value === '1') return true;
+        if (value === 'false' || value === 0 || value === '0') return false;
+        return undefined;
+      default:
+        return value;
+    }
+  }
+
+  lookup(object, keyPath) {
+    return keyPath.split('.').reduce(
+      (current, key) => (current !== null && current !== undefined ? current[key] : undefined),
+      object
+    );
+  }
+}
+
+module.exports = new AttributeMappingService();
@@ -0,0 +1,726 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const eppoService = require('./eppoService');
+const enrichmentService = require('./enrichmentService');
+const experimentService = require('./experimentService');
+const brazeService = require('./brazeService');
+const subjectService = require('./subjectService');
+const { createLogger } = require('./logger');
+const loopGuardService = require('./loopGuardService');
+const frequencyCapService = require('./frequencyCapService');
+const holdoutService = require('./holdoutService');
+const metricsService = require('./metricsService');
+
+const logger = createLogger('batchJobs');
+
+const DEFAULT_JOBS_DIR = path.join(__dirname, '..', 'data', 'batch-jobs');
+// Braze accepts up to 50 recipients per campaign/Canvas trigger request
+const BRAZE_TRIGGER_RECIPIENT_LIMIT = 50;
+const JOB_TYPES = ['assign', 'send'];
+const RESUMABLE_STATUSES = ['interrupted', 'failed'];
+// Keep job state files small; counts are always exact
+const MAX_RECORDED_FAILURES = 1000;
+// Header names always read as the external ID, besides the identifier fields subjectService knows
+const USER_ID_COLUMNS = ['user_id', 'userid', 'external_id', 'external_user_id', 'id'];
+const RESULT_COLUMNS = ['userId', 'subjectKey', 'variation', 'status', 'excludedBy', 'error'];
+
+/**
+ * Runs audience-level assignment and send jobs in the background. Each job
+ * is persisted under BATCH_JOBS_DIR as it progresses:
+ *   <id>.json           - job state, progress cursors and failures
+ *   <id>.users.json     - the submitted users
+ *   <id>.results.ndjson - one assignment result per user
+ * so a job interrupted by a restart can be resumed where it stopped.
+ */
+class BatchJobService {
+  constructor() {
+    this.jobsDir = process.env.BATCH_JOBS_DIR || DEFAULT_JOBS_DIR;
+    this.maxUsers = parseInt(process.env.BATCH_MAX_USERS, 10) || 100000;
+    this.chunkSize = parseInt(process.env.BATCH_CHUNK_SIZE, 10) || 100;
+    this.jobs = new Map();
+    this.running = new Map();
+    this.stopping = false;
+  }
+
+  /**
+   * Load persisted jobs. Jobs that were running when the process stopped are
+   * marked interrupted so they can be resumed.
+   */
+  loadJobs() {
+    fs.mkdirSync(this.jobsDir, { recursive: true });
+
+    fs.readdirSync(this.jobsDir)
+      .filter(file => /^[\w-]+\.json$/.test(file) && !file.endsWith('.users.json'))
+      .forEach(file => {
+        try {
+          const job = JSON.parse(fs.readFileSync(path.join(this.jobsDir, file), 'utf8'));
+          if (job.status === 'queued' || job.status === 'running') {
+            job.status = 'interrupted';
+          }
+          this.jobs.set(job.id, job);
+        } catch (error) {
+          logger.error('Failed to load batch job', { file, err: error });
+        }
+      });
+
+    const interrupted = Array.from(this.jobs.values()).filter(job => job.status === 'interrupted').length;
+    logger.info('Loaded batch jobs', { jobs: this.jobs.size, interrupted });
+  }
+
+  /**
+   * Normalize submitted users to [{ userId, subjectKey, brazeIdentities, attributes }],
+   * dropping duplicates. Each user is resolved like a webhook request for the
+   * experiment: userId is the subject Eppo assigns, brazeIdentities address
+   * the user in Braze. A bare string is the value of the experiment's first
+   * subject key.
+   * @param {Array} users - Identifier strings, or objects carrying identifier fields and attributes
+   * @param {Object} experiment - The registered experiment the job is for
+   * @param {Object} options - { requireRecipient } rejects users Braze triggers cannot address
+   * @returns {Object} { users, duplicates, errors }
+   */
+  normalizeUsers(users, experiment, { requireRecipient = false } = {}) {
+    if (!Array.isArray(users) || users.length === 0) {
+      return { users: [], duplicates: 0, errors: ['"userIds" or "users" must be a non-empty array'] };
+    }
+
+    const subjectKeys = subjectService.getSubjectKeys(experiment);
+    const errors = [];
+    const seen = new Set();
+    const normalized = [];
+    let duplicates = 0;
+
+    users.forEach((user, index) => {
+      const isObject = typeof user === 'object' && user !== null;
+      const { subject, brazeIdentities } = subjectService.resolve(isObject ? user : { [subjectKeys[0]]: user }, experiment);
+      const attributes = isObject ? user.attributes || user.userAttributes || {} : {};
+
+      if (!subject) {
+        if (errors.length < 10) errors.push(`users[${index}]: no subject identifier, expected one of ${subjectService.describeKeys(subjectKeys)}`);
+        return;
+      }
+      if (requireRecipient && !brazeService.getRecipientIdentifier({ userId: subject.id, brazeIdentities })) {
+        if (errors.length < 10) errors.push(`users[${index}]: no Braze external ID or user alias to send to`);
+        return;
+      }
+      if (seen.has(subject.id)) {
+        duplicates++;
+        return;
+      }
+      seen.add(subject.id);
+      normalized.push({ userId: subject.id, subjectKey: subject.key, brazeIdentities, attributes });
+    });
+
+    if (normalized.length > this.maxUsers) {
+      errors.push(`A batch job accepts at most ${this.maxUsers} users (got ${normalized.length})`);
+    }
+
+    return { users: normalized, duplicates, errors };
+  }
+
+  /**
+   * Parse a CSV upload. A header row naming identifier columns is optional:
+   * user_id (or external_id, id, ...) and the fields of the experiment's
+   * subject keys and Braze identifier keys (account_id, email, ...) are
+   * identifiers, the other columns become attributes. Without a header the
+   * file must be a single column of subjects, so a header that names no
+   * identifier column is rejected rather than read as a user.
+   * @param {string} text - CSV content
+   * @param {Object} experiment - The registered experiment the job is for
+   * @returns {Array} Users for normalizeUsers
+   * @throws {Error} code INVALID_CSV when a multi-column file has no identifier column
+   */
+  parseUserCsv(text, experiment) {
+    const rows = this.parseCsvRows(text).filter(row => row.some(cell => cell.trim() !== ''));
+    if (rows.length === 0) return [];
+
+    const identifierFields = [...subjectService.getSubjectKeys(experiment), ...subjectService.brazeIdentifierKeys]
+      .flatMap(key => subjectService.getFields(key));
+    const header = rows[0].map(cell => cell.trim());
+    const identifierColumns = header.map(cell => {
+      if (identifierFields.includes(cell)) return cell;
+      return USER_ID_COLUMNS.includes(cell.toLowerCase()) ? 'user_id' : null;
+    });
+
+    if (identifierColumns.every(field => field === null)) {
+      if (rows.some(row => row.length > 1)) {
+        const expected = [...new Set([...USER_ID_COLUMNS, ...identifierFields])].join(', ');
+        throw Object.assign(
+          new Error(`The CSV header names no identifier column, expected one of ${expected}`),
+          { code: 'INVALID_CSV' }
+        );
+      }
+      return rows.map(row => row[0].trim());
+    }
+
+    return rows.slice(1).map(row => {
+      const user = { attributes: {} };
+      header.forEach((column, index) => {
+        const value = (row[index] || '').trim();
+        if (!column || value === '') return;
+        if (identifierColumns[index]) {
+          user[identifierColumns[index]] = value;
+        } else {
+          user.attributes[column] = row[index];
+        }
+      });
+      return user;
+    });
+  }
+
+  parseCsvRows(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(cell);
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+    if (cell !== '' || row.length > 0) {
+      row.push(cell);
+      rows.push(row);
+    }
+
+    return rows;
+  }
+
+  /**
+   * Create a job and start it in the background
+   * @param {Object} options - { type: 'assign' | 'send', experiment, users, enrich }
+   * @returns {Promise<Object>} The job summary
+   */
+  async createJob({ type, experiment, users, enrich = false }) {
+    if (!JOB_TYPES.includes(type)) {
+      throw new Error(`Unknown batch job type: ${type}`);
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+      id: uuidv4(),
+      type,
+      flagKey: experiment.flagKey,
+      valueType: experiment.valueType,
+      options: { enrich: !!enrich },
+      status: 'queued',
+      phase: 'assign',
+      total: users.length,
+      assigned: 0,
+      variations: {},
+      unassigned: 0,
+      heldOut: 0,
+      frequencyCapped: 0,
+      assignmentErrors: 0,
+      send: type === 'send' ? {
+        batchesTotal: null,
+        batchesSent: 0,
+        recipientsSent: 0,
+        recipientsFailed: 0,
+        recipientsSkipped: 0,
+        recipientsUnconfirmed: 0,
+        inFlight: null
+      } : null,
+      failureCount: 0,
+      failures: [],
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      completedAt: null
+    };
+
+    fs.mkdirSync(this.jobsDir, { recursive: true });
+    await fs.promises.writeFile(this.filePath(job.id, 'users.json'), JSON.stringify(users));
+    this.jobs.set(job.id, job);
+    await this.saveJob(job);
+
+    this.start(job);
+    return this.getJobSummary(job);
+  }
+
+  /**
+   * Continue an interrupted or failed job from its last saved cursor
+   * @param {string} jobId - The job ID
+   * @returns {Object} The job summary
+   */
+  resumeJob(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) {
+      throw Object.assign(new Error(`Unknown batch job: ${jobId}`), { code: 'NOT_FOUND' });
+    }
+    if (!RESUMABLE_STATUSES.includes(job.status)) {
+      throw Object.assign(new Error(`Batch job ${jobId} is ${job.status} and cannot be resumed`), { code: 'CONFLICT' });
+    }
+
+    logger.info('Resuming batch job', { jobId, phase: job.phase });
+    job.error = null;
+    this.start(job);
+    return this.getJobSummary(job);
+  }
+
+  start(job) {
+    job.status = 'running';
+    const run = this.runJob(job)
+      .catch(async error => {
+        logger.error('Batch job failed', { jobId: job.id, err: error });
+        job.status = 'failed';
+        job.error = error.message;
+        await this.saveJob(job);
+      })
+      .finally(() => this.running.delete(job.id));
+    this.running.set(job.id, run);
+  }
+
+  async runJob(job) {
+    const experiment = experimentService.getExperiment(job.flagKey);
+    if (!experiment || experiment.enabled === false) {
+      throw new Error(`Experiment ${job.flagKey} is no longer registered or enabled`);
+    }
+    // An uninitialized client returns null for everyone; fail instead so the job can be resumed
+    if (!eppoService.isInitialized()) {
+      throw new Error('Eppo client is not initialized');
+    }
+
+    job.startedAt = job.startedAt || new Date().toISOString();
+    await this.saveJob(job);
+
+    if (job.phase === 'assign') {
+      const finished = await this.runAssignPhase(job, experiment);
+      if (!finished) return;
+      job.phase = job.type === 'send' ? 'send' : null;
+      await this.saveJob(job);
+    }
+
+    if (job.phase === 'send') {
+      const finished = await this.runSendPhase(job, experiment);
+      if (!finished) return;
+      job.phase = null;
+    }
+
+    job.status = job.failureCount > 0 ? 'completed_with_errors' : 'completed';
+    job.completedAt = new Date().toISOString();
+    await this.saveJob(job);
+    logger.info('Batch job finished', { jobId: job.id, status: job.status, assigned: job.assigned, total: job.total });
+  }
+
+  /**
+   * Assign users chunk by chunk from job.assigned onwards
+   * @returns {Promise<boolean>} false if the job was stopped before finishing
+   */
+  async runAssignPhase(job, experiment) {
+    const users = JSON.parse(await fs.promises.readFile(this.filePath(job.id, 'users.json'), 'utf8'));
+    await this.recoverResults(job);
+
+    while (job.assigned < users.length) {
+      if (this.stopping) return this.markInterrupted(job);
+
+      const start = job.assigned;
+      const chunk = users.slice(start, start + this.chunkSize);
+      const results = await Promise.all(chunk.map((user, offset) => this.assignUser(job, experiment, user, start + offset)));
+
+      await fs.promises.appendFile(
+        this.filePath(job.id, 'results.ndjson'),
+        results.map(result => JSON.stringify(result)).join('\n') + '\n'
+      );
+
+      results.forEach(result => this.countResult(job, result));
+
+      job.assigned = start + chunk.length;
+      await this.saveJob(job);
+
+      // Let webhook traffic through between chunks
+      await new Promise(resolve => setImmediate(resolve));
+    }
+
+    return true;
+  }
+
+  /**
+   * Take over results appended after the last saved cursor. A crash between
+   * appending a chunk and saving the job would otherwise assign those users
+   * again on resume, reserving their frequency cap slots and logging their
+   * exposures a second time.
+   */
+  async recoverResults(job) {
+    const filePath = this.filePath(job.id, 'results.ndjson');
+    if (!fs.existsSync(filePath)) return;
+
+    const text = await fs.promises.readFile(filePath, 'utf8');
+    // End a partially written last line so the next chunk starts on a line of its own
+    if (text.length > 0 && !text.endsWith('\n')) {
+      await fs.promises.appendFile(filePath, '\n');
+    }
+
+    const pending = new Map(this.parseResults(text)
+      .filter(result => result.index >= job.assigned)
+      .map(result => [result.index, result]));
+    const cursor = job.assigned;
+    while (pending.has(job.assigned)) {
+      this.countResult(job, pending.get(job.assigned));
+      job.assigned++;
+    }
+
+    if (job.assigned > cursor) {
+      logger.info('Recovered unsaved batch results', { jobId: job.id, recovered: job.assigned - cursor });
+      await this.saveJob(job);
+    }
+  }
+
+  countResult(job, result) {
+    if (result.status === 'assigned') {
+      job.variations[result.variation] = (job.variations[result.variation] || 0) + 1;
+      // Older job files have no counters for these
+      if (result.excludedBy === 'holdout') job.heldOut = (job.heldOut || 0) + 1;
+      if (result.excludedBy === 'frequency_cap') job.frequencyCapped = (job.frequencyCapped || 0) + 1;
+    } else if (result.status === 'unassigned') {
+      job.unassigned++;
+    } else {
+      job.assignmentErrors++;
+      this.recordFailure(job, { stage: 'assign', userId: result.userId, error: result.error });
+    }
+  }
+
+  async assignUser(job, experiment, { userId, subjectKey, brazeIdentities, attributes }, index) {
+    try {
+      const subjectAttributes = job.options.enrich
+        ? (await enrichmentService.enrich(userId, attributes)).attributes
+        : attributes;
+
+      // Only a send job shows users anything; assigning an audience alone is not an exposure
+      const logExposure = job.type === 'send';
+      const assignmentData = eppoService.getAssignment(job.flagKey, userId, subjectAttributes, {
+        valueType: job.valueType,
+        source: `/batch/${job.type}`,
+        logExposure
+      });
+      if (assignmentData.error) {
+        throw new Error(assignmentData.error);
+      }
+
+      const variation = assignmentData.assignment;
+      if (variation === null || variation === undefined) {
+        return { index, userId, subjectKey, variation: null, status: 'unassigned', attributes: subjectAttributes };
+      }
+
+      // Held-out and frequency-capped users keep their assignment but are not sent.
+      // A send job reserves each user's frequency cap slot now; the send phase
+      // releases it for anyone it does not send to.
+      let excludedBy = null;
+      let capReservedAt = null;
+      const holdout = holdoutService.evaluate(userId, subjectAttributes, { source: `/batch/${job.type}`, logExposure });
+      if (holdout && holdout.inHoldout) {
+        excludedBy = 'holdout';
+      } else if (job.type === 'send') {
+        const frequencyCap = frequencyCapService.check(userId, experiment);
+        if (frequencyCap.allowed) {
+          capReservedAt = frequencyCap.reservedAt;
+        } else {
+          excludedBy = 'frequency_cap';
+        }
+      }
+
+      return { index, userId, subjectKey, brazeIdentities, variation, status: 'assigned', excludedBy, capReservedAt, attributes: subjectAttributes };
+    } catch (error) {
+      return { index, userId, subjectKey, variation: null, status: 'error', error: error.message };
+    }
+  }
+
+  /**
+   * Group assigned users by variation and trigger each variation's delivery
+   * target, up to 50 recipients per Braze request, from job.send.batchesSent onwards
+   * @returns {Promise<boolean>} false if the job was stopped before finishing
+   */
+  async runSendPhase(job, experiment) {
+    const batches = await this.buildSendBatches(job, experiment);
+
+    if (job.send.batchesTotal === null) {
+      job.send.batchesTotal = batches.length;
+      batches.filter(batch => !batch.target).forEach(batch => {
+        job.send.recipientsSkipped += batch.recipients.length;
+        this.releaseCaps(experiment, batch.recipients);
+        this.recordFailure(job, {
+          stage: 'send',
+          variation: batch.variation,
+          target: null,
+          userIds: batch.recipients.map(recipient => recipient.userId),
+          error: 'No delivery target configured for this variation'
+        });
+      });
+      await this.saveJob(job);
+    }
+
+    while (job.send.batchesSent < batches.length) {
+      if (this.stopping) return this.markInterrupted(job);
+
+      const { variation, target, recipients } = batches[job.send.batchesSent];
+
+      // The process stopped while this batch's request was in flight. Braze may
+      // already have sent it, and triggers are not idempotent, so it is not resent.
+      const inFlight = job.send.inFlight;
+      if (inFlight && inFlight.batch === job.send.batchesSent) {
+        job.send.recipientsUnconfirmed = (job.send.recipientsUnconfirmed || 0) + inFlight.userIds.length;
+        this.recordFailure(job, {
+          stage: 'send',
+          variation,
+          target: { type: target.type, id: target.id },
+          userIds: inFlight.userIds,
+          error: 'Interrupted while the Braze request was in flight; not resent as it may have been delivered'
+        });
+        job.send.inFlight = null;
+        job.send.batchesSent++;
+        await this.saveJob(job);
+        continue;
+      }
+
+      if (target) {
+        const allowed = this.reserveTriggers(job, experiment, variation, target, recipients);
+        if (allowed.length > 0) {
+          await this.sendBatch(job, experiment, variation, target, allowed);
+        }
+      }
+
+      job.send.inFlight = null;
+      job.send.batchesSent++;
+      await this.saveJob(job);
+    }
+
+    return true;
+  }
+
+  /**
+   * Apply the loop guard's de-duplication window and per-user trigger cap,
+   * as for single triggers. Blocked recipients are skipped and reported.
+   * @returns {Array} The recipients that may be sent
+   */
+  reserveTriggers(job, experiment, variation, target, recipients) {
+    const allowed = [];
+    const blocked = new Map();
+
+    recipients.forEach(recipient => {
+      const { allowed: isAllowed, reason } = loopGuardService.reserveTrigger({ userId: recipient.userId, flagKey: job.flagKey, target });
+      if (isAllowed) {
+        allowed.push(recipient);
+      } else {
+        this.releaseCaps(experiment, [recipient]);
+        if (!blocked.has(reason)) blocked.set(reason, []);
+        blocked.get(reason).push(recipient.userId);
+      }
+    });
+
+    blocked.forEach((userIds, reason) => {
+      job.send.recipientsSkipped += userIds.length;
+      metricsService.recordDelivery(job.flagKey, { type: target.type, status: 'skipped' }, userIds.length);
+      this.recordFailure(job, { stage: 'send', variation, target: { type: target.type, id: target.id }, userIds, error: reason });
+    });
+
+    return allowed;
+  }
+
+  async sendBatch(job, experiment, variation, target, recipients) {
+    job.send.inFlight = { batch: job.send.batchesSent, userIds: recipients.map(recipient => recipient.userId) };
+    await this.saveJob(job);
+
+    try {
+      await brazeService.triggerDeliveryBatch(target, recipients.map(({ userId, brazeIdentities, attributes }) => ({
+        userId,
+        brazeIdentities,
+        properties: {
+          ...target.properties,
+          eppo_flag_key: job.flagKey,
+          eppo_assignment: variation,
+          ...loopGuardService.tokenProperties({ userId, flagKey: job.flagKey, targetId: target.id })
+        },
+        userAttributes: {
+          eppo_gate: true,
+          ...attributes
+        }
+      })));
+      job.send.recipientsSent += recipients.length;
+      metricsService.recordDelivery(job.flagKey, { type: target.type, status: 'triggered' }, recipients.length);
+    } catch (error) {
+      job.send.recipientsFailed += recipients.length;
+      this.releaseCaps(experiment, recipients);
+      metricsService.recordDelivery(job.flagKey, { type: target.type, status: 'failed' }, recipients.length);
+      this.recordFailure(job, {
+        stage: 'send',
+        variation,
+        target: { type: target.type, id: target.id },
+        userIds: recipients.map(recipient => recipient.userId),
+        error: error.message,
+        status: error.status || null
+      });
+    }
+  }
+
+  // Give back the frequency cap slots reserved at assignment for users that were not sent
+  releaseCaps(experiment, recipients) {
+    recipients.forEach(({ userId, capReservedAt }) => {
+      frequencyCapService.release(userId, experiment, { reservedAt: capReservedAt });
+    });
+  }
+
+  /**
+   * Split the assignment results into per-variation batches. The order is
+   * deterministic so a resumed job lines up with job.send.batchesSent.
+   */
+  async buildSendBatches(job, experiment) {
+    const byVariation = new Map();
+    (await this.readResults(job.id))
+      .filter(result => result.status === 'assigned' && !result.excludedBy)
+      .forEach(result => {
+        if (!byVariation.has(result.variation)) byVariation.set(result.variation, []);
+        byVariation.get(result.variation).push(result);
+      });
+
+    const batches = [];
+    Array.from(byVariation.keys()).sort().forEach(variation => {
+      const target = experimentService.getDeliveryTarget(experiment, variation);
+      const usable = target && !target.id.includes('your_') ? target : null;
+      const recipients = byVariation.get(variation);
+
+      // Users without a target are reported once, not sent
+      if (!usable) {
+        batches.push({ variation, target: null, recipients });
+        return;
+      }
+      for (let i = 0; i < recipients.length; i += BRAZE_TRIGGER_RECIPIENT_LIMIT) {
+        batches.push({ variation, target: usable, recipients: recipients.slice(i, i + BRAZE_TRIGGER_RECIPIENT_LIMIT) });
+      }
+    });
+
+    return batches;
+  }
+
+  /**
+   * Read a job's assignment results, one per user
+   * @param {string} jobId - The job ID
+   * @returns {Promise<Array>} Results in submission order
+   */
+  async readResults(jobId) {
+    const filePath = this.filePath(jobId, 'results.ndjson');
+    if (!fs.existsSync(filePath)) return [];
+
+    return this.parseResults(await fs.promises.readFile(filePath, 'utf8'));
+  }
+
+  // A user whose line was cut short by a crash is assigned again on resume; the last copy wins
+  parseResults(text) {
+    const byIndex = new Map();
+    text.split('\n').forEach(line => {
+      if (!line.trim()) return;
+      try {
+        const result = JSON.parse(line);
+        byIndex.set(result.index, result);
+      } catch (error) {
+        // skip a partially written line
+      }
+    });
+
+    return Array.from(byIndex.values()).sort((a, b) => a.index - b.index);
+  }
+
+  toCsv(results) {
+    const escape = value => {
+      if (value === null || value === undefined) return '';
+      const text = String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = results.map(result => RESULT_COLUMNS.map(column => escape(result[column])).join(','));
+    return [RESULT_COLUMNS.join(','), ...rows].join('\n') + '\n';
+  }
+
+  recordFailure(job, failure) {
+    job.failureCount++;
+    if (job.failures.length < MAX_RECORDED_FAILURES) {
+      job.failures.push({ ...failure, timestamp: new Date().toISOString() });
+    }
+  }
+
+  async markInterrupted(job) {
+    job.status = 'interrupted';
+    await this.saveJob(job);
+    logger.warn('Batch job interrupted', { jobId: job.id, phase: job.phase });
+    return false;
+  }
+
+  async saveJob(job) {
+    job.updatedAt = new Date().toISOString();
+    const filePath = this.filePath(job.id, 'json');
+    const tempPath = `${filePath}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(job, null, 2));
+    await fs.promises.rename(tempPath, filePath);
+  }
+
+  filePath(jobId, suffix) {
+    return path.join(this.jobsDir, `${jobId}.${suffix}`);
+  }
+
+  getJob(jobId) {
+    const job = this.jobs.get(jobId);
+    return job ? this.getJobSummary(job) : null;
+  }
+
+  getJobSummary(job) {
+    const { failures, ...summary } = job;
+    const assignProgress = job.total > 0 ? job.assigned / job.total : 1;
+    const sendProgress = job.send && job.send.batchesTotal ? job.send.batchesSent / job.send.batchesTotal : 0;
+    const progress = job.type === 'send'
+      ? (job.status.startsWith('completed') ? 1 : (assignProgress + sendProgress) / 2)
+      : assignProgress;
+
+    return {
+      ...summary,
+      progress: Math.round(progress * 100) / 100,
+      failures,
+      failuresTruncated: job.failureCount > failures.length
+    };
+  }
+
+  listJobs() {
+    return Array.from(this.jobs.values())
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(({ failures, ...job }) => job);
+  }
+
+  /**
+   * Stop running jobs after their current chunk, e.g. on shutdown
+   */
+  async stop() {
+    this.stopping = true;
+    await Promise.all(this.running.values());
+  }
+
+  getStats() {
+    const byStatus = {};
+    this.jobs.forEach(job => {
+      byStatus[job.status] = (byStatus[job.status] || 0) + 1;
+    });
+    return { jobs: this.jobs.size, running: this.running.size, byStatus };
+  }
+}
+
+module.exports = new BatchJobService();
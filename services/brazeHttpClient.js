@@ -0,0 +1,197 @@
+const axios = require('axios');
+const { createLogger, getRequestId } = require('./logger');
+const metricsService = require('./metricsService');
+const healthService = require('./healthService');
+
+const logger = createLogger('brazeHttpClient');
+
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'ECONNREFUSED'];
+// Sends are not idempotent: a timeout or 5xx may still have delivered the
+// message, so they are only retried when Braze certainly did not act on them
+const SEND_ENDPOINTS = ['/campaigns/trigger/send', '/canvas/trigger/send', '/messages/send'];
+const SEND_RETRYABLE_NETWORK_CODES = ['ECONNREFUSED'];
+
+/**
+ * Error raised for a failed Braze API call. Keeps Braze's own error payload
+ * instead of collapsing it into a status-code message.
+ */
+class BrazeApiError extends Error {
+  constructor({ endpoint, status, responseBody, attempts, retryable, cause }) {
+    const brazeMessage = responseBody && (responseBody.message || (responseBody.errors && JSON.stringify(responseBody.errors)));
+    super(`Braze ${endpoint} failed${status ? ` with status ${status}` : ''}: ${brazeMessage || (cause && cause.message) || 'unknown error'}`);
+    this.name = 'BrazeApiError';
+    this.endpoint = endpoint;
+    this.status = status || null;
+    this.responseBody = responseBody || null;
+    this.brazeErrors = (responseBody && responseBody.errors) || [];
+    this.attempts = attempts;
+    this.retryable = retryable;
+    this.code = cause && cause.code;
+  }
+
+  toJSON() {
+    return {
+      name: this.name,
+      message: this.message,
+      endpoint: this.endpoint,
+      status: this.status,
+      brazeErrors: this.brazeErrors,
+      responseBody: this.responseBody,
+      attempts: this.attempts,
+      retryable: this.retryable
+    };
+  }
+}
+
+/**
+ * Shared HTTP layer for the Braze REST API: timeouts, retries with
+ * exponential backoff on 429/5xx/network errors (429 and refused
+ * connections only for sends), and retry metrics.
+ */
+class BrazeHttpClient {
+  constructor({
+    baseUrl,
+    apiKey,
+    timeoutMs = parseInt(process.env.BRAZE_TIMEOUT_MS, 10) || 10000,
+    maxRetries = process.env.BRAZE_MAX_RETRIES !== undefined ? parseInt(process.env.BRAZE_MAX_RETRIES, 10) : 3,
+    baseDelayMs = parseInt(process.env.BRAZE_RETRY_BASE_DELAY_MS, 10) || 500,
+    maxDelayMs = parseInt(process.env.BRAZE_RETRY_MAX_DELAY_MS, 10) || 30000
+  } = {}) {
+    this.baseUrl = baseUrl;
+    this.apiKey = apiKey;
+    this.timeoutMs = timeoutMs;
+    this.maxRetries = maxRetries;
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.metrics = {
+      requests: 0,
+      retries: 0,
+      rateLimited: 0,
+      failures: 0,
+      byEndpoint: {}
+    };
+  }
+
+  /**
+   * POST to a Braze endpoint, retrying transient failures
+   * @param {string} endpoint - Path such as '/users/track'
+   * @param {Object} data - Request body
+   * @param {Object} options - { timeoutMs }
+   * @returns {Promise<Object>} The axios response
+   */
+  async post(endpoint, data, { timeoutMs = this.timeoutMs } = {}) {
+    const endpointMetrics = this.getEndpointMetrics(endpoint);
+
+    for (let attempt = 1; ; attempt++) {
+      this.metrics.requests++;
+      endpointMetrics.requests++;
+      const startedAt = process.hrtime.bigint();
+      const elapsedSeconds = () => Number(process.hrtime.bigint() - startedAt) / 1e9;
+
+      try {
+        const response = await axios.post(`${this.baseUrl}${endpoint}`, data, {
+          headers: {
+            'Authorization': `Bearer ${this.apiKey}`,
+            'Content-Type': 'application/json',
+            // Lets a Braze call be matched to the request that caused it
+            ...(getRequestId() && { 'X-Request-Id': getRequestId() })
+          },
+          timeout: timeoutMs
+        });
+        metricsService.recordBrazeRequest(endpoint, response.status, elapsedSeconds());
+        healthService.recordSuccess('braze');
+        return response;
+      } catch (error) {
+        const status = error.response ? error.response.status : null;
+        const retryable = this.isRetryable(error, endpoint);
+        metricsService.recordBrazeRequest(endpoint, status || error.code || 'error', elapsedSeconds());
+
+        if (status === 429) {
+          this.metrics.rateLimited++;
+          endpointMetrics.rateLimited++;
+        }
+
+        if (!retryable || attempt > this.maxRetries) {
+          this.metrics.failures++;
+          endpointMetrics.failures++;
+          // Other 4xx responses are problems with the request, not with Braze
+          if (!status || status === 429 || status >= 500 || status === 401 || status === 403) {
+            healthService.recordFailure('braze', error);
+          }
+          throw new BrazeApiError({
+            endpoint,
+            status,
+            responseBody: error.response ? error.response.data : null,
+            attempts: attempt,
+            retryable,
+            cause: error
+          });
+        }
+
+        const delayMs = this.getRetryDelay(error.response, attempt);
+        this.metrics.retries++;
+        endpointMetrics.retries++;
+        logger.warn('Retrying Braze request', { endpoint, status, code: error.code, attempt, maxRetries: this.maxRetries, delayMs });
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+      }
+    }
+  }
+
+  /**
+   * @param {Error} error - The axios error
+   * @param {string} endpoint - The endpoint it came from
+   * @returns {boolean} Whether the request can safely be sent again
+   */
+  isRetryable(error, endpoint) {
+    const isSend = SEND_ENDPOINTS.includes(endpoint);
+    if (error.response) {
+      return error.response.status === 429 || (!isSend && error.response.status >= 500);
+    }
+    return (isSend ? SEND_RETRYABLE_NETWORK_CODES : RETRYABLE_NETWORK_CODES).includes(error.code);
+  }
+
+  /**
+   * How long to wait before the next attempt. Braze's Retry-After and
+   * X-RateLimit-Reset headers win over exponential backoff.
+   * @param {Object} response - The failed axios response, if any
+   * @param {number} attempt - The attempt that just failed (1-based)
+   * @returns {number} Delay in milliseconds
+   */
+  getRetryDelay(response, attempt) {
+    const headers = (response && response.headers) || {};
+
+    const retryAfter = headers['retry-after'];
+    if (retryAfter !== undefined) {
+      const seconds = Number(retryAfter);
+      const delayMs = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(retryAfter) - Date.now();
+      if (Number.isFinite(delayMs) && delayMs >= 0) {
+        return Math.min(delayMs, this.maxDelayMs);
+      }
+    }
+
+    const rateLimitReset = Number(headers['x-ratelimit-reset']);
+    if (response && response.status === 429 && Number.isFinite(rateLimitReset) && rateLimitReset > 0) {
+      return Math.min(Math.max(rateLimitReset * 1000 - Date.now(), 0), this.maxDelayMs);
+    }
+
+    // Exponential backoff with full jitter
+    const ceiling = Math.min(this.baseDelayMs * 2 ** (attempt - 1), this.maxDelayMs);
+    return Math.round(Math.random() * ceiling);
+  }
+
+  getEndpointMetrics(endpoint) {
+    if (!this.metrics.byEndpoint[endpoint]) {
+      this.metrics.byEndpoint[endpoint] = { requests: 0, retries: 0, rateLimited: 0, failures: 0 };
+    }
+    return this.metrics.byEndpoint[endpoint];
+  }
+
+  getMetrics() {
+    return JSON.parse(JSON.stringify(this.metrics));
+  }
+}
+
+module.exports = {
+  BrazeHttpClient,
+  BrazeApiError
+};
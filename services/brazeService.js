@@ -1,68 +1,323 @@
-const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const { BrazeHttpClient } = require('./brazeHttpClient');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('brazeService');
+
+const BRAZE_TRIGGER_RECIPIENT_LIMIT = 50;
+const SUBSCRIPTION_EXPORT_FIELDS = ['email', 'email_subscribe', 'phone', 'push_subscribe', 'push_tokens', 'subscription_groups'];
+// Exported push tokens name their platform, e.g. { platform: 'iOS' }
+const PUSH_PLATFORMS = {
+  apple_push: { name: 'iOS', pattern: /ios/i },
+  android_push: { name: 'Android', pattern: /android/i }
+};
 
 class BrazeService {
   constructor() {
     this.apiKey = process.env.BRAZE_API_KEY;
     this.restEndpoint = process.env.BRAZE_REST_ENDPOINT;
     this.appId = process.env.BRAZE_APP_ID;
+    this.generateSendIds = process.env.BRAZE_GENERATE_SEND_IDS !== 'false';
+    this.emailFrom = process.env.BRAZE_EMAIL_FROM;
+    this.smsSubscriptionGroupId = process.env.BRAZE_SMS_SUBSCRIPTION_GROUP_ID;
+    // Build and return /messages/send requests without sending them
+    this.dryRun = process.env.BRAZE_MESSAGES_DRY_RUN === 'true';
+    this.http = new BrazeHttpClient({ baseUrl: this.restEndpoint, apiKey: this.apiKey });
+  }
+
+  // Braze send_id, generated once per send so Braze can report on it. It
+  // does not de-duplicate, which is why sends are rarely retried (see brazeHttpClient)
+  createSendId() {
+    return this.generateSendIds ? uuidv4().replace(/-/g, '') : undefined;
+  }
+
+  getMetrics() {
+    return this.http.getMetrics();
+  }
+
+  /**
+   * How a trigger recipient is addressed. Braze triggers accept an external ID
+   * or a user alias, not a braze_id. Without brazeIdentities (see
+   * subjectService) userId is taken as the external ID.
+   * @returns {Object|null} { external_user_id } or { user_alias }, null if none is usable
+   */
+  getRecipientIdentifier({ userId, brazeIdentities }) {
+    if (!brazeIdentities) return { external_user_id: userId };
+
+    const identity = brazeIdentities.find(({ type }) => type === 'external_id' || type === 'user_alias');
+    if (!identity) return null;
+    return identity.type === 'external_id'
+      ? { external_user_id: identity.id }
+      : { user_alias: { alias_name: identity.id, alias_label: identity.aliasLabel } };
+  }
+
+  /**
+   * How a user is addressed in /users/track: external_id, braze_id or user_alias
+   * @returns {Object|null} The identifier fields, null if brazeIdentities is empty
+   */
+  getTrackIdentifier({ userId, brazeIdentities }) {
+    if (!brazeIdentities) return { external_id: userId };
+
+    const identity = brazeIdentities[0];
+    if (!identity) return null;
+    switch (identity.type) {
+      case 'external_id':
+        return { external_id: identity.id };
+      case 'braze_id':
+        return { braze_id: identity.id };
+      default:
+        return { user_alias: { alias_name: identity.id, alias_label: identity.aliasLabel } };
+    }
+  }
+
+  /**
+   * A /users/track attributes object. Alias-only profiles are created when
+   * they do not exist yet, as they would be for an external ID.
+   */
+  buildTrackAttributes(identifier, attributes) {
+    return {
+      ...identifier,
+      ...(identifier.user_alias && { _update_existing_only: false }),
+      ...attributes
+    };
+  }
+
+  requireRecipientIdentifier(recipient) {
+    const identifier = this.getRecipientIdentifier(recipient);
+    if (!identifier) {
+      throw new Error(`No Braze external ID or user alias for ${recipient.userId}: triggers cannot address a user by braze_id alone`);
+    }
+    return identifier;
+  }
+
+  /**
+   * What a user can currently be messaged on, from /users/export/ids
+   * @returns {Promise<Object|null>} The exported user, or null if Braze has no such user
+   */
+  async getSubscriptionState({ userId, brazeIdentities }) {
+    const identifier = this.getTrackIdentifier({ userId, brazeIdentities });
+    if (!identifier) return null;
+
+    const query = identifier.external_id ? { external_ids: [identifier.external_id] }
+      : identifier.braze_id ? { braze_id: identifier.braze_id }
+      : { user_aliases: [identifier.user_alias] };
+    const response = await this.http.post('/users/export/ids', { ...query, fields_to_export: SUBSCRIPTION_EXPORT_FIELDS });
+    return (response.data.users || [])[0] || null;
+  }
+
+  /**
+   * Why a channel cannot reach this user, or null if it can. Braze drops
+   * unsubscribed recipients itself; checking first reports which channels
+   * were skipped and why.
+   * @param {string} channel - 'email', 'sms', 'apple_push', 'android_push' or 'in_app'
+   * @param {Object} message - The channel's Braze message object
+   * @param {Object} user - From getSubscriptionState
+   */
+  getSubscriptionProblem(channel, message, user) {
+    switch (channel) {
+      case 'email':
+        if (!user.email) return 'No email address';
+        return user.email_subscribe === 'unsubscribed' ? 'Unsubscribed from email' : null;
+      case 'sms': {
+        if (!user.phone) return 'No phone number';
+        const group = (user.subscription_groups || []).find(({ id }) => id === message.subscription_group_id);
+        return group && /^subscribed$/i.test(group.status)
+          ? null
+          : `Not subscribed to SMS subscription group ${message.subscription_group_id}`;
+      }
+      case 'apple_push':
+      case 'android_push': {
+        if (user.push_subscribe === 'unsubscribed') return 'Unsubscribed from push';
+        const platform = PUSH_PLATFORMS[channel];
+        const hasToken = (user.push_tokens || []).some(token => platform.pattern.test(token.platform || token.app || '') &&
+          token.notifications_enabled !== false);
+        return hasToken ? null : `No ${platform.name} push token`;
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Braze message objects for each channel in a content set (see the
+   * experiment registry's `messages`). `push` becomes apple_push and/or
+   * android_push; `in_app` is sent by triggering its API-triggered in-app
+   * campaign, since /messages/send cannot deliver in-app messages.
+   * @param {Object} content - { email, sms, push, in_app }, placeholders already rendered
+   * @param {Object} extras - Key/values added to email and push extras
+   * @returns {Object} Message objects keyed by Braze channel, and problems keyed by channel
+   */
+  buildMessages(content, extras = {}) {
+    const messages = {};
+    const problems = {};
+
+    if (content.email) {
+      const email = {
+        app_id: this.appId,
+        from: this.emailFrom,
+        ...content.email,
+        extras: { ...extras, ...content.email.extras }
+      };
+      if (!email.app_id) problems.email = 'No app_id, set BRAZE_APP_ID or messages.*.email.app_id';
+      else if (!email.from) problems.email = 'No sender, set BRAZE_EMAIL_FROM or messages.*.email.from';
+      else messages.email = email;
+    }
+
+    if (content.sms) {
+      const sms = {
+        app_id: this.appId,
+        subscription_group_id: this.smsSubscriptionGroupId,
+        ...content.sms
+      };
+      if (!sms.app_id) problems.sms = 'No app_id, set BRAZE_APP_ID or messages.*.sms.app_id';
+      else if (!sms.subscription_group_id) problems.sms = 'No subscription group, set BRAZE_SMS_SUBSCRIPTION_GROUP_ID or messages.*.sms.subscription_group_id';
+      else messages.sms = sms;
+    }
+
+    if (content.push) {
+      const { title, body, extra = {}, platforms = ['ios', 'android'], ios = {}, android = {}, ...shared } = content.push;
+      if (platforms.includes('ios')) {
+        messages.apple_push = { ...shared, alert: title ? { title, body } : body, extra: { ...extras, ...extra }, ...ios };
+      }
+      if (platforms.includes('android')) {
+        messages.android_push = { ...shared, ...(title && { title }), alert: body, extra: { ...extras, ...extra }, ...android };
+      }
+    }
+
+    if (content.in_app) {
+      messages.in_app = content.in_app;
+    }
+
+    return { messages, problems };
   }
 
-  // Send a message via Braze
-  async sendMessage({ userId, messageType, customAttributes = {} }) {
+  /**
+   * Send a variation's message content on each of its channels. Channels the
+   * user cannot be reached on are skipped. With dryRun the requests are built
+   * (and subscriptions checked) but nothing is sent. Each Braze request is
+   * sent on its own, so a failed one does not hide what the others delivered;
+   * only when nothing was delivered is the first error thrown.
+   * @param {Object} options - { userId, brazeIdentities, content, channels, extras,
+   *   campaignId, sendId, dryRun, checkSubscriptions }
+   * @returns {Promise<Object>} { dryRun, sent, channels, delivered, failed, skipped, requests, responses }
+   */
+  async sendMessage({
+    userId,
+    brazeIdentities,
+    content,
+    channels = null,
+    extras = {},
+    campaignId = null,
+    // Braze only accepts a send_id together with a campaign_id
+    sendId = campaignId ? this.createSendId() : undefined,
+    dryRun = this.dryRun,
+    checkSubscriptions = true
+  }) {
     if (!this.apiKey || !this.restEndpoint) {
       throw new Error('Braze API configuration missing. Check BRAZE_API_KEY and BRAZE_REST_ENDPOINT');
     }
 
-    const messageData = {
-      external_user_ids: [userId],
-      messages: {
-        push: {
-          alert: messageType === 'treatment' 
-            ? "🎉 Special offer just for you!" 
-            : "Welcome to our app!",
-          title: messageType === 'treatment' 
-            ? "Exclusive Deal" 
-            : "Welcome",
-          extra: {
-            variant: messageType,
-            ...customAttributes
-          }
+    const recipient = this.requireRecipientIdentifier({ userId, brazeIdentities });
+    const wanted = Object.fromEntries(Object.entries(content).filter(([channel]) => !channels || channels.includes(channel)));
+    const { messages, problems } = this.buildMessages(wanted, extras);
+    const skipped = Object.entries(problems).map(([channel, reason]) => ({ channel, reason }));
+
+    if (checkSubscriptions && Object.keys(messages).length > 0) {
+      const user = await this.getSubscriptionState({ userId, brazeIdentities });
+      Object.keys(messages).forEach(channel => {
+        const reason = user ? this.getSubscriptionProblem(channel, messages[channel], user) : 'User not found in Braze';
+        if (reason) {
+          skipped.push({ channel, reason });
+          delete messages[channel];
         }
-      }
-    };
+      });
+    }
 
-    try {
-      const response = await axios.post(
-        `${this.restEndpoint}/messages/send`,
-        messageData,
-        {
-          headers: {
-            'Authorization': `Bearer ${this.apiKey}`,
-            'Content-Type': 'application/json'
-          }
+    const { in_app: inApp, ...sendable } = messages;
+    const requests = [];
+    if (Object.keys(sendable).length > 0) {
+      requests.push({
+        endpoint: '/messages/send',
+        channels: Object.keys(sendable),
+        payload: {
+          ...(campaignId && { campaign_id: campaignId }),
+          ...(campaignId && sendId && { send_id: sendId }),
+          ...(recipient.external_user_id
+            ? { external_user_ids: [recipient.external_user_id] }
+            : { user_aliases: [recipient.user_alias] }),
+          messages: sendable
+        }
+      });
+    }
+    if (inApp) {
+      const { campaign_id: inAppCampaignId, ...triggerProperties } = inApp;
+      requests.push({
+        endpoint: '/campaigns/trigger/send',
+        channels: ['in_app'],
+        payload: {
+          campaign_id: inAppCampaignId,
+          recipients: [{ ...recipient, trigger_properties: { ...extras, ...triggerProperties } }]
         }
-      );
+      });
+    }
 
-      return response;
-    } catch (error) {
-      console.error('Braze send message error:', error.response?.data || error.message);
-      throw error;
+    const result = {
+      dryRun,
+      sent: false,
+      channels: Object.keys(messages),
+      delivered: [],
+      failed: [],
+      skipped,
+      requests,
+      responses: []
+    };
+    if (dryRun || requests.length === 0) {
+      logger.info(dryRun ? 'Braze message dry run' : 'No channel left to send on', { userId, channels: result.channels, skipped });
+      return result;
+    }
+
+    let firstError = null;
+    for (const { endpoint, channels: requestChannels, payload } of requests) {
+      try {
+        const response = await this.http.post(endpoint, payload);
+        result.responses.push({ endpoint, channels: requestChannels, dispatchId: response.data && response.data.dispatch_id });
+        result.delivered.push(...requestChannels);
+      } catch (error) {
+        logger.error('Braze send message failed', { userId, endpoint, channels: requestChannels, err: error, response: error.responseBody });
+        firstError = firstError || error;
+        requestChannels.forEach(channel => result.failed.push({ channel, reason: error.message, status: error.status || null }));
+      }
+    }
+
+    if (result.delivered.length === 0) {
+      throw firstError;
     }
+    result.sent = true;
+    logger.info(result.failed.length > 0 ? 'Braze message partly sent' : 'Braze message sent', {
+      userId,
+      delivered: result.delivered,
+      failed: result.failed.map(({ channel }) => channel),
+      sendId,
+      responses: result.responses
+    });
+    return result;
   }
 
   // Track a custom event in Braze
-  async trackEvent({ userId, eventName, eventProperties = {}, userAttributes = {} }) {
+  async trackEvent({ userId, brazeIdentities, eventName, eventProperties = {}, userAttributes = {} }) {
     if (!this.apiKey || !this.restEndpoint) {
       throw new Error('Braze API configuration missing. Check BRAZE_API_KEY and BRAZE_REST_ENDPOINT');
     }
 
+    const identifier = this.getTrackIdentifier({ userId, brazeIdentities });
+    if (!identifier) {
+      throw new Error(`No Braze identifier for ${userId}`);
+    }
+
     const eventData = {
-      attributes: [{
-        external_id: userId,
-        ...userAttributes
-      }],
+      attributes: [this.buildTrackAttributes(identifier, userAttributes)],
       events: [{
-        external_id: userId,
+        ...identifier,
         name: eventName,
         time: new Date().toISOString(),
         properties: eventProperties
@@ -70,20 +325,23 @@ class BrazeService {
     };
 
     try {
-      const response = await axios.post(
-        `${this.restEndpoint}/users/track`,
-        eventData,
-        {
-          headers: {
-            'Authorization': `Bearer ${this.apiKey}`,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
+      return await this.http.post('/users/track', eventData);
+    } catch (error) {
+      logger.error('Braze track event failed', { userId, err: error, response: error.responseBody });
+      throw error;
+    }
+  }
 
-      return response;
+  // Send a prepared batch of attributes/events/purchases to /users/track
+  async trackBatch({ attributes, events, purchases }) {
+    if (!this.apiKey || !this.restEndpoint) {
+      throw new Error('Braze API configuration missing. Check BRAZE_API_KEY and BRAZE_REST_ENDPOINT');
+    }
+
+    try {
+      return await this.http.post('/users/track', { attributes, events, purchases });
     } catch (error) {
-      console.error('Braze track event error:', error.response?.data || error.message);
+      logger.error('Braze track batch failed', { err: error, response: error.responseBody });
       throw error;
     }
   }
@@ -104,35 +362,25 @@ class BrazeService {
     };
 
     try {
-      const response = await axios.post(
-        `${this.restEndpoint}/users/track`,
-        attributeData,
-        {
-          headers: {
-            'Authorization': `Bearer ${this.apiKey}`,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
-
-      return response;
+      return await this.http.post('/users/track', attributeData);
     } catch (error) {
-      console.error('Braze update attributes error:', error.response?.data || error.message);
+      logger.error('Braze update attributes failed', { userId, err: error, response: error.responseBody });
       throw error;
     }
   }
 
   // Trigger a campaign
-  async triggerCampaign({ userId, campaignId, triggerProperties = {}, userAttributes = {} }) {
+  async triggerCampaign({ userId, brazeIdentities, campaignId, triggerProperties = {}, userAttributes = {}, sendId = this.createSendId() }) {
     if (!this.apiKey || !this.restEndpoint || !campaignId) {
       throw new Error('Braze API configuration or campaignId is missing.');
     }
 
     const campaignData = {
       campaign_id: campaignId,
+      ...(sendId && { send_id: sendId }),
       recipients: [
         {
-          external_user_id: userId,
+          ...this.requireRecipientIdentifier({ userId, brazeIdentities }),
           trigger_properties: triggerProperties,
           attributes: {
             email_subscribe: 'subscribed',
@@ -144,57 +392,95 @@ class BrazeService {
     };
 
     try {
-      console.log(`🚀 Triggering Braze campaign ${campaignId} for user ${userId}...`);
-      const response = await axios.post(
-        `${this.restEndpoint}/campaigns/trigger/send`,
-        campaignData,
-        {
-          headers: {
-            'Content-Type': 'application/json',
-            Authorization: `Bearer ${this.apiKey}`,
-          },
-        }
-      );
-      console.log('✅ Braze campaign triggered successfully:', response.data);
+      logger.debug('Triggering Braze campaign', { campaignId, userId, sendId });
+      const response = await this.http.post('/campaigns/trigger/send', campaignData);
+      logger.info('Braze campaign triggered', { campaignId, userId, sendId, dispatchId: response.data && response.data.dispatch_id });
       return response.data;
     } catch (error) {
-      console.error(`Braze campaign trigger error for campaign ${campaignId}:`, error.response ? error.response.data : error.message);
-      throw new Error(`Request failed with status code ${error.response ? error.response.status : 'unknown'}`);
+      logger.error('Braze campaign trigger failed', { campaignId, userId, err: error, response: error.responseBody });
+      throw error;
     }
   }
 
   // Trigger a Canvas
-  async triggerCanvas({ canvasId, userId, canvasEntryProperties = {} }) {
-    if (!this.apiKey || !this.restEndpoint) {
-      throw new Error('Braze API configuration missing. Check BRAZE_API_KEY and BRAZE_REST_ENDPOINT');
+  async triggerCanvas({ canvasId, userId, brazeIdentities, canvasEntryProperties = {}, userAttributes = {} }) {
+    if (!this.apiKey || !this.restEndpoint || !canvasId) {
+      throw new Error('Braze API configuration or canvasId is missing.');
     }
 
     const canvasData = {
       canvas_id: canvasId,
       recipients: [{
-        external_user_id: userId,
-        canvas_entry_properties: canvasEntryProperties
+        ...this.requireRecipientIdentifier({ userId, brazeIdentities }),
+        canvas_entry_properties: canvasEntryProperties,
+        attributes: {
+          email_subscribe: 'subscribed',
+          push_subscribe: 'subscribed',
+          ...userAttributes
+        }
       }]
     };
 
     try {
-      const response = await axios.post(
-        `${this.restEndpoint}/canvas/trigger/send`,
-        canvasData,
-        {
-          headers: {
-            'Authorization': `Bearer ${this.apiKey}`,
-            'Content-Type': 'application/json'
-          }
+      logger.debug('Triggering Braze Canvas', { canvasId, userId });
+      const response = await this.http.post('/canvas/trigger/send', canvasData);
+      logger.info('Braze Canvas triggered', { canvasId, userId, dispatchId: response.data && response.data.dispatch_id });
+      return response.data;
+    } catch (error) {
+      logger.error('Braze Canvas trigger failed', { canvasId, userId, err: error, response: error.responseBody });
+      throw error;
+    }
+  }
+
+  // Trigger a campaign or Canvas for several users in one request. Braze accepts
+  // up to 50 recipients per /campaigns/trigger/send or /canvas/trigger/send call.
+  // recipients: [{ userId, brazeIdentities, properties, userAttributes }]
+  async triggerDeliveryBatch(target, recipients, { sendId = target.type === 'campaign' ? this.createSendId() : undefined } = {}) {
+    if (!this.apiKey || !this.restEndpoint || !target.id) {
+      throw new Error('Braze API configuration or delivery target ID is missing.');
+    }
+    if (recipients.length > BRAZE_TRIGGER_RECIPIENT_LIMIT) {
+      throw new Error(`Braze accepts at most ${BRAZE_TRIGGER_RECIPIENT_LIMIT} recipients per trigger request`);
+    }
+
+    const propertiesKey = target.type === 'canvas' ? 'canvas_entry_properties' : 'trigger_properties';
+    const requestData = {
+      [target.type === 'canvas' ? 'canvas_id' : 'campaign_id']: target.id,
+      ...(sendId && { send_id: sendId }),
+      recipients: recipients.map(({ userId, brazeIdentities, properties = {}, userAttributes = {} }) => ({
+        ...this.requireRecipientIdentifier({ userId, brazeIdentities }),
+        [propertiesKey]: properties,
+        attributes: {
+          email_subscribe: 'subscribed',
+          push_subscribe: 'subscribed',
+          ...userAttributes
         }
-      );
+      }))
+    };
 
-      return response;
+    try {
+      logger.info('Triggering Braze batch', { type: target.type, id: target.id, recipients: recipients.length });
+      const response = await this.http.post(target.type === 'canvas' ? '/canvas/trigger/send' : '/campaigns/trigger/send', requestData);
+      return response.data;
     } catch (error) {
-      console.error('Braze trigger canvas error:', error.response?.data || error.message);
+      logger.error('Braze batch trigger failed', { type: target.type, id: target.id, err: error, response: error.responseBody });
       throw error;
     }
   }
+
+  // Trigger a delivery target from the experiment registry: { type: 'campaign' | 'canvas', id }.
+  // properties become trigger_properties for campaigns and canvas_entry_properties for Canvases.
+  // brazeIdentities (see subjectService) address the recipient; without them userId is the external ID.
+  async triggerDelivery(target, { userId, brazeIdentities, properties = {}, userAttributes = {} }) {
+    switch (target.type) {
+      case 'campaign':
+        return this.triggerCampaign({ userId, brazeIdentities, campaignId: target.id, triggerProperties: properties, userAttributes });
+      case 'canvas':
+        return this.triggerCanvas({ userId, brazeIdentities, canvasId: target.id, canvasEntryProperties: properties, userAttributes });
+      default:
+        throw new Error(`Unknown Braze delivery type: ${target.type}`);
+    }
+  }
 }
 
-module.exports = new BrazeService(); 
\ No newline at end of file
+module.exports = new BrazeService();
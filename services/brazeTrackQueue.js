@@ -0,0 +1,186 @@
+const brazeService = require('./brazeService');
+const { createLogger, runInBackground } = require('./logger');
+const { readInteger } = require('./configValidator');
+
+const logger = createLogger('brazeTrackQueue');
+
+// Braze accepts up to 75 attribute, event and purchase objects per /users/track request
+const BRAZE_TRACK_BATCH_LIMIT = 75;
+
+class BrazeTrackQueue {
+  constructor() {
+    this.batchSize = Math.min(
+      readInteger('BRAZE_TRACK_BATCH_SIZE', BRAZE_TRACK_BATCH_LIMIT, { min: 1 }),
+      BRAZE_TRACK_BATCH_LIMIT
+    );
+    // The flush timer runs for good once started, so 0 would make it spin
+    this.flushIntervalMs = readInteger('BRAZE_TRACK_FLUSH_INTERVAL_MS', 1000, { min: 1 });
+    this.maxBufferSize = readInteger('BRAZE_TRACK_MAX_BUFFER', 10000, { min: 1 });
+    this.buffer = [];
+    this.timer = null;
+    this.flushing = null;
+    this.metrics = {
+      enqueued: 0,
+      rejected: 0,
+      batches: 0,
+      flushedItems: 0,
+      failedItems: 0,
+      lastFlushAt: null
+    };
+  }
+
+  isFull() {
+    return this.buffer.length >= this.maxBufferSize;
+  }
+
+  /**
+   * Queue an event and/or attribute update for the next /users/track batch
+   * @param {Object} item - { userId, brazeIdentities, eventName, eventProperties, userAttributes };
+   *   brazeIdentities (see subjectService) address the user, otherwise userId is the external ID
+   * @returns {Promise<Object>} Braze's response body once the batch containing the item is sent
+   */
+  enqueue({ userId, brazeIdentities, eventName, eventProperties = {}, userAttributes = {} }) {
+    if (this.isFull()) {
+      this.metrics.rejected++;
+      const error = new Error(`Braze track queue is full (${this.maxBufferSize} items)`);
+      error.code = 'QUEUE_FULL';
+      return Promise.reject(error);
+    }
+
+    const identifier = brazeService.getTrackIdentifier({ userId, brazeIdentities });
+    if (!identifier) {
+      return Promise.reject(new Error(`No Braze identifier for ${userId}`));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.buffer.push({
+        // Attribute updates for the same user are merged by this key
+        userKey: JSON.stringify(identifier),
+        attribute: Object.keys(userAttributes).length > 0 ? brazeService.buildTrackAttributes(identifier, userAttributes) : null,
+        event: eventName ? {
+          ...identifier,
+          name: eventName,
+          time: new Date().toISOString(),
+          properties: eventProperties
+        } : null,
+        resolve,
+        reject
+      });
+      this.metrics.enqueued++;
+
+      this.startTimer();
+      if (this.buffer.length >= this.batchSize) {
+        // The batch carries other requests' events, so it is not sent under this request's ID
+        runInBackground(() => this.flush());
+      }
+    });
+  }
+
+  startTimer() {
+    if (this.timer) return;
+    // Created outside the enqueuing request's context, so later flushes do not log or send its request ID
+    this.timer = runInBackground(() => setInterval(() => this.flush(), this.flushIntervalMs));
+    this.timer.unref();
+  }
+
+  /**
+   * Take items off the front of the buffer until either the attribute or the
+   * event list would exceed the batch size. Attribute updates for the same
+   * user are merged into one object, later values winning.
+   * @returns {Object} { items, attributes, events }
+   */
+  takeBatch() {
+    const items = [];
+    const attributesByUser = new Map();
+    const events = [];
+
+    while (this.buffer.length > 0) {
+      const item = this.buffer[0];
+      const addsAttribute = item.attribute && !attributesByUser.has(item.userKey);
+
+      if ((addsAttribute && attributesByUser.size >= this.batchSize) ||
+          (item.event && events.length >= this.batchSize)) {
+        break;
+      }
+
+      this.buffer.shift();
+      items.push(item);
+
+      if (item.attribute) {
+        attributesByUser.set(item.userKey, {
+          ...attributesByUser.get(item.userKey),
+          ...item.attribute
+        });
+      }
+      if (item.event) {
+        events.push(item.event);
+      }
+    }
+
+    return { items, attributes: Array.from(attributesByUser.values()), events };
+  }
+
+  /**
+   * Send one batch. Only one flush runs at a time; calls made while one is
+   * in flight wait for it.
+   */
+  flush() {
+    if (this.flushing) return this.flushing;
+    if (this.buffer.length === 0) return Promise.resolve();
+
+    this.flushing = this.sendBatch().finally(() => {
+      this.flushing = null;
+      if (this.buffer.length >= this.batchSize) {
+        this.flush();
+      }
+    });
+    return this.flushing;
+  }
+
+  async sendBatch() {
+    const { items, attributes, events } = this.takeBatch();
+    if (items.length === 0) return;
+
+    const payload = {};
+    if (attributes.length > 0) payload.attributes = attributes;
+    if (events.length > 0) payload.events = events;
+
+    try {
+      const response = await brazeService.trackBatch(payload);
+      this.metrics.batches++;
+      this.metrics.flushedItems += items.length;
+      this.metrics.lastFlushAt = new Date().toISOString();
+      logger.debug('Flushed track batch to Braze', { events: events.length, attributes: attributes.length });
+      items.forEach(item => item.resolve(response.data));
+    } catch (error) {
+      this.metrics.failedItems += items.length;
+      logger.error('Braze track batch failed', { items: items.length, err: error });
+      items.forEach(item => item.reject(error));
+    }
+  }
+
+  /**
+   * Flush everything still buffered, e.g. on shutdown
+   */
+  async drain() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    while (this.buffer.length > 0 || this.flushing) {
+      await this.flush();
+    }
+  }
+
+  getStats() {
+    return {
+      ...this.metrics,
+      buffered: this.buffer.length,
+      batchSize: this.batchSize,
+      flushIntervalMs: this.flushIntervalMs,
+      maxBufferSize: this.maxBufferSize
+    };
+  }
+}
+
+module.exports = new BrazeTrackQueue();
@@ -0,0 +1,99 @@
+/**
+ * Startup configuration checks. Errors mean a dependency cannot be used
+ * (missing or placeholder credentials); Eppo errors keep /readyz failing,
+ * Braze and Hightouch errors mark that dependency misconfigured. Warnings are
+ * logged and shown in /health.
+ */
+
+// Values copied from .env.example without being filled in
+const PLACEHOLDER_PATTERN = /your_|^(changeme|placeholder|todo|x{3,})$/i;
+// Settings the services read; other environment variables are left alone
+const APP_PREFIXES = [
+  'BRAZE_', 'EPPO_', 'HIGHTOUCH_', 'WEBHOOK_', 'LOOP_GUARD_', 'HOLDOUT_', 'FREQUENCY_CAP_', 'ENRICHMENT_',
+  'EXPERIMENT', 'BATCH_', 'ASSIGNMENT_', 'MESSAGE_TEMPLATES_', 'ATTRIBUTE_MAPPING_', 'LOG_', 'METRICS_', 'STARTUP_',
+  'SUBJECT_', 'MISSING_SUBJECT_', 'RESPONSE_'
+];
+// Read with parseInt and silently replaced by a default when invalid
+const INTEGER_PATTERN = /(_MS|_SECONDS|_SIZE|_RETRIES|_MAX_USERS|_MAX_ENTRIES|_MAX_BUFFER|_MAX_SENDS|_MAX_TRACKED_USERS|_MAX_TRIGGERS_PER_USER)$/;
+const DEPENDENCY_PREFIXES = { BRAZE_: 'braze', EPPO_: 'eppo', HIGHTOUCH_: 'hightouch' };
+
+function dependencyFor(variable) {
+  const prefix = Object.keys(DEPENDENCY_PREFIXES).find(candidate => variable.startsWith(candidate));
+  return prefix ? DEPENDENCY_PREFIXES[prefix] : null;
+}
+
+function issue(level, variable, message) {
+  return { level, variable, dependency: dependencyFor(variable), message };
+}
+
+/**
+ * Check the environment for missing credentials, placeholder values and
+ * numbers that would be ignored
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Object} { errors, warnings }, each a list of { level, variable, dependency, message }
+ */
+function validateConfig(env = process.env) {
+  const issues = [];
+  const required = ['BRAZE_API_KEY', 'BRAZE_REST_ENDPOINT'];
+  required.push((env.EPPO_CONFIG_MODE || 'online') === 'offline' ? 'EPPO_CONFIG_FILE' : 'EPPO_SDK_KEY');
+
+  required.forEach(variable => {
+    if (!env[variable]) {
+      issues.push(issue('error', variable, `${variable} is not set`));
+    }
+  });
+
+  Object.keys(env)
+    .filter(variable => APP_PREFIXES.some(prefix => variable.startsWith(prefix)))
+    .sort()
+    .forEach(variable => {
+      const value = String(env[variable]).trim();
+      if (!value) return;
+
+      if (PLACEHOLDER_PATTERN.test(value)) {
+        issues.push(issue(
+          required.includes(variable) ? 'error' : 'warning',
+          variable,
+          `${variable} still has a placeholder value`
+        ));
+      } else if (INTEGER_PATTERN.test(variable) && !/^\d+$/.test(value)) {
+        issues.push(issue('warning', variable, `${variable} is not a whole number, the default is used instead`));
+      }
+    });
+
+  if (env.MISSING_SUBJECT_ACTION && !['reject', 'default'].includes(env.MISSING_SUBJECT_ACTION)) {
+    issues.push(issue('warning', 'MISSING_SUBJECT_ACTION', 'MISSING_SUBJECT_ACTION must be reject or default, reject is used instead'));
+  }
+
+  if (env.BRAZE_REST_ENDPOINT && !PLACEHOLDER_PATTERN.test(env.BRAZE_REST_ENDPOINT)) {
+    try {
+      new URL(env.BRAZE_REST_ENDPOINT);
+    } catch (error) {
+      issues.push(issue('error', 'BRAZE_REST_ENDPOINT', 'BRAZE_REST_ENDPOINT is not a valid URL'));
+    }
+  }
+
+  return {
+    errors: issues.filter(({ level }) => level === 'error'),
+    warnings: issues.filter(({ level }) => level === 'warning')
+  };
+}
+
+/**
+ * Read a whole-number setting. Unlike `parseInt(...) || default`, an explicit
+ * 0 is kept (e.g. to turn a cache or window off); values that are not numbers
+ * or are below the minimum fall back to the default.
+ * @param {string} variable - Environment variable name
+ * @param {number} defaultValue - Used when the variable is unset or invalid
+ * @param {Object} options - { min } smallest accepted value, 0 by default
+ * @returns {number}
+ */
+function readInteger(variable, defaultValue, { min = 0 } = {}) {
+  const parsed = parseInt(process.env[variable], 10);
+  return Number.isFinite(parsed) && parsed >= min ? parsed : defaultValue;
+}
+
+module.exports = {
+  validateConfig,
+  readInteger
+};
@@ -0,0 +1,80 @@
+const path = require('path');
+const { createAssignmentSink } = require('./assignmentSinks');
+const { getRequestId } = require('./logger');
+
+const DEFAULT_LOG_PATH = path.join(__dirname, '..', 'data', 'conversions.ndjson');
+
+/**
+ * Durable log of events tracked through /track-event, read back by the
+ * results dashboard. Records share the assignment log's shape (flagKey,
+ * variation, subject, source, timestamp), so the same sinks store them.
+ */
+class ConversionLogService {
+  constructor() {
+    this.sinkType = process.env.CONVERSION_SINK || process.env.ASSIGNMENT_SINK || 'ndjson';
+    this.filePath = process.env.CONVERSION_LOG_PATH || DEFAULT_LOG_PATH;
+    this.sink = null;
+    this.recordedCount = 0;
+  }
+
+  /**
+   * Replace the sink conversions are persisted to
+   * @param {Object} sink - Implements write(record), query(filters, limit) and flush()
+   */
+  setSink(sink) {
+    this.sink = sink;
+  }
+
+  getSink() {
+    if (!this.sink) {
+      this.sink = createAssignmentSink(this.sinkType, { filePath: this.filePath });
+    }
+    return this.sink;
+  }
+
+  /**
+   * Persist a tracked event
+   * @param {Object} conversion - { userId, flagKey, variation, eventName, eventProperties, source }
+   * @returns {Object} The stored record
+   */
+  recordConversion({ userId, flagKey, variation, eventName, eventProperties = {}, source = 'unknown' }) {
+    const record = {
+      timestamp: new Date().toISOString(),
+      flagKey,
+      variation: variation ?? null,
+      subject: userId,
+      eventName,
+      eventProperties,
+      source,
+      requestId: getRequestId() || null
+    };
+
+    this.recordedCount += 1;
+    this.getSink().write(record);
+    return record;
+  }
+
+  /**
+   * Query persisted conversions
+   * @param {Object} filters - { flagKey, userId, variation, source, from, to }
+   * @param {number} limit - Maximum number of records to return
+   * @returns {Promise<Array>} Matching conversion records, oldest first
+   */
+  queryConversions(filters = {}, limit = Infinity) {
+    return this.getSink().query(filters, limit);
+  }
+
+  flush() {
+    return this.sink ? this.sink.flush() : Promise.resolve();
+  }
+
+  getStats() {
+    return {
+      sink: this.getSink().type,
+      filePath: this.getSink().type === 'ndjson' ? this.filePath : undefined,
+      recordedSinceStart: this.recordedCount
+    };
+  }
+}
+
+module.exports = new ConversionLogService();
@@ -0,0 +1,104 @@
+const fs = require('fs');
+const hightouchService = require('./hightouchService');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('enrichmentProviders');
+
+// Names createEnrichmentProvider can build; an attribute mapping may refer to any of them
+const PROVIDER_NAMES = ['hightouch', 'file'];
+
+/**
+ * Enrichment providers look up profile data for a user. Each implements:
+ *   name            - the key its data is exposed under in the attribute mapping
+ *   lookup(userId)  - resolves to { found, data }; data is what mapping paths read
+ * and optionally:
+ *   synthesize({ audiences }) - data in the provider's own shape for a
+ *                               synthetic user, used by simulations
+ */
+
+/**
+ * Hightouch Personalization API, through the cached hightouchService
+ */
+function createHightouchProvider() {
+  if (!hightouchService.apiKey) {
+    logger.warn('HIGHTOUCH_API_KEY not configured, Hightouch lookups will be skipped');
+  }
+
+  return {
+    name: 'hightouch',
+    async lookup(userId) {
+      const { audiences, attributes, found, error } = await hightouchService.getUserAudiences(userId);
+      if (error) {
+        throw new Error(error);
+      }
+
+      // A record without audiences is treated as no Hightouch data, as before
+      const hasData = !!found && Object.keys(audiences).length > 0;
+      return { found: hasData, data: hasData ? { audiences, attributes } : null };
+    },
+    synthesize({ audiences }) {
+      return { audiences, attributes: {} };
+    }
+  };
+}
+
+/**
+ * Profiles from a local JSON file, either an object keyed by user ID or an
+ * array of records carrying `id`, `user_id` or `external_id`. The file is
+ * re-read when its modification time changes.
+ */
+function createFileProvider({ filePath, name = 'file' }) {
+  if (!filePath) {
+    throw new Error(`Enrichment provider "${name}" needs ENRICHMENT_FILE_PATH`);
+  }
+
+  let profiles = null;
+  let loadedMtimeMs = null;
+
+  const loadProfiles = async () => {
+    const { mtimeMs } = await fs.promises.stat(filePath);
+    if (profiles && mtimeMs === loadedMtimeMs) return profiles;
+
+    const parsed = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    profiles = new Map(
+      Array.isArray(parsed)
+        ? parsed.map(record => [String(record.id ?? record.user_id ?? record.external_id), record])
+        : Object.entries(parsed)
+    );
+    loadedMtimeMs = mtimeMs;
+    logger.info('Loaded enrichment profiles', { provider: name, profiles: profiles.size, path: filePath });
+    return profiles;
+  };
+
+  return {
+    name,
+    async lookup(userId) {
+      const record = (await loadProfiles()).get(String(userId));
+      return { found: !!record, data: record || null };
+    }
+  };
+}
+
+/**
+ * Create the provider registered under a name
+ * @param {string} name - 'hightouch' or 'file'
+ * @param {Object} options - Provider-specific options
+ * @returns {Object} The provider
+ */
+function createEnrichmentProvider(name, options = {}) {
+  switch (name) {
+    case 'hightouch':
+      return createHightouchProvider();
+    case 'file':
+      return createFileProvider({ ...options, name });
+    default:
+      throw new Error(`Unknown enrichment provider: ${name}`);
+  }
+}
+
+module.exports = {
+  PROVIDER_NAMES,
+  createEnrichmentProvider,
+  createHightouchProvider,
+  createFileProvider
+};
@@ -0,0 +1,148 @@
+const { createEnrichmentProvider } = require('./enrichmentProviders');
+const attributeMappingService = require('./attributeMappingService');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('enrichment');
+
+class EnrichmentService {
+  constructor() {
+    this.providerNames = (process.env.ENRICHMENT_PROVIDERS || 'hightouch')
+      .split(',')
+      .map(name => name.trim())
+      .filter(Boolean);
+    this.defaultTimeoutMs = parseInt(process.env.ENRICHMENT_TIMEOUT_MS, 10) || 2000;
+    this.providers = [];
+  }
+
+  /**
+   * Create the configured providers. Call before the attribute mapping is
+   * loaded so it can validate provider names.
+   * @returns {Array<string>} Names of the registered providers
+   */
+  initializeProviders() {
+    this.providers = this.providerNames.map(name => ({
+      provider: createEnrichmentProvider(name, { filePath: process.env.ENRICHMENT_FILE_PATH }),
+      timeoutMs: parseInt(process.env[`ENRICHMENT_${name.toUpperCase()}_TIMEOUT_MS`], 10) || this.defaultTimeoutMs
+    }));
+
+    logger.info('Enrichment providers initialized', { providers: this.getProviderNames() });
+    return this.getProviderNames();
+  }
+
+  /**
+   * Add a custom provider to the end of the chain
+   * @param {Object} provider - Implements name and lookup(userId)
+   * @param {number} timeoutMs - Per-lookup timeout
+   */
+  registerProvider(provider, timeoutMs = this.defaultTimeoutMs) {
+    this.providers.push({ provider, timeoutMs });
+  }
+
+  getProviderNames() {
+    return this.providers.map(({ provider }) => provider.name);
+  }
+
+  /**
+   * Build providerData for a synthetic user from the providers that can
+   * produce their own shape of data. The others (e.g. file records, which have
+   * no fixed schema) are left out, as if they had no record for the user.
+   * @param {Object} profile - { audiences }
+   * @returns {Object} { providerName: data }
+   */
+  synthesizeProviderData(profile) {
+    return Object.fromEntries(this.providers
+      .filter(({ provider }) => typeof provider.synthesize === 'function')
+      .map(({ provider }) => [provider.name, provider.synthesize(profile)]));
+  }
+
+  /**
+   * Run one provider lookup, giving up after its timeout
+   * @returns {Promise<Object>} { name, status, found, data, durationMs, error }
+   */
+  async runProvider({ provider, timeoutMs }, userId) {
+    const startedAt = Date.now();
+    let timer;
+
+    try {
+      const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`timed out after ${timeoutMs}ms`)), timeoutMs);
+      });
+      const { found, data } = await Promise.race([provider.lookup(userId), timeout]);
+      return {
+        name: provider.name,
+        status: found ? 'found' : 'not_found',
+        found: !!found,
+        data: found ? data : null,
+        durationMs: Date.now() - startedAt
+      };
+    } catch (error) {
+      logger.warn('Enrichment provider failed', { provider: provider.name, userId, err: error });
+      return {
+        name: provider.name,
+        status: /timed out/.test(error.message) ? 'timeout' : 'error',
+        found: false,
+        data: null,
+        durationMs: Date.now() - startedAt,
+        error: error.message
+      };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Look the user up in every provider in parallel and map the results to
+   * Eppo subject attributes
+   * @param {string} userId - The user ID
+   * @param {Object} requestAttributes - Attributes sent with the request
+   * @param {Object} options - { providerData } replaces the lookups with
+   *   { providerName: data }, e.g. synthetic profiles for a simulation
+   * @returns {Promise<Object>} { attributes, provenance, providers }
+   */
+  async enrich(userId, requestAttributes = {}, { providerData = null } = {}) {
+    const results = providerData
+      ? Object.entries(providerData).map(([name, data]) => ({ name, status: 'provided', found: true, data, durationMs: 0 }))
+      : await Promise.all(this.providers.map(entry => this.runProvider(entry, userId)));
+
+    const data = { request: requestAttributes };
+    results.forEach(result => {
+      if (result.found) data[result.name] = result.data;
+    });
+
+    const { attributes, provenance } = attributeMappingService.applyMapping(data);
+    const supplying = results.filter(result => result.found).map(result => result.name);
+
+    // Add a flag to indicate the source of the data
+    attributes._attribute_source = supplying.length > 0 ? supplying.join(',') : 'browser';
+
+    // Remove undefined/null values
+    Object.keys(attributes).forEach(key => {
+      if (attributes[key] === undefined || attributes[key] === null) {
+        delete attributes[key];
+        delete provenance[key];
+      }
+    });
+
+    logger.debug('Enriched attributes', { userId, attributes, provenance });
+
+    return {
+      attributes,
+      provenance,
+      providers: results.map(({ data: _data, ...summary }) => summary)
+    };
+  }
+
+  /**
+   * Get user attributes enriched by every provider for Eppo experiments
+   * @param {string} userId - The user ID
+   * @param {Object} existingAttributes - Any existing user attributes from browser/request
+   * @param {Object} options - Passed to enrich()
+   * @returns {Promise<Object>} Enriched attributes for experiments
+   */
+  async getEnrichedUserAttributes(userId, existingAttributes = {}, options = {}) {
+    const { attributes } = await this.enrich(userId, existingAttributes, options);
+    return attributes;
+  }
+}
+
+module.exports = new EnrichmentService();
@@ -1,85 +1,254 @@
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
 const EppoSdk = require('@eppo/node-server-sdk');
+const { EppoClient, MemoryOnlyConfigurationStore } = require('@eppo/js-client-sdk-common');
+const assignmentLogService = require('./assignmentLogService');
+const exposureService = require('./exposureService');
+const metricsService = require('./metricsService');
+const healthService = require('./healthService');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('eppoService');
+
+const DEFAULT_SNAPSHOT_PATH = path.join(__dirname, '..', 'data', 'eppo-config-snapshot.json');
 
 class EppoService {
   constructor() {
     this.client = null;
     this.initialized = false;
     this.recentAssignments = new Map();
-    this.assignmentLoggerCalled = false;
-    this.currentRequest = null;
+    // Request-scoped context for the assignment logger, so concurrent calls
+    // never see each other's flag, subject or captured details
+    this.assignmentContext = new AsyncLocalStorage();
+
+    // 'online' fetches from the Eppo CDN, 'offline' loads EPPO_CONFIG_FILE
+    this.configMode = process.env.EPPO_CONFIG_MODE || 'online';
+    this.configFilePath = process.env.EPPO_CONFIG_FILE;
+    this.snapshotPath = process.env.EPPO_CONFIG_SNAPSHOT_PATH || DEFAULT_SNAPSHOT_PATH;
+    this.snapshotIntervalMs = parseInt(process.env.EPPO_CONFIG_SNAPSHOT_INTERVAL_MS, 10) || 5 * 60 * 1000;
+    this.configSource = null;
+    this.configLoadedAt = null;
+    this.lastSnapshotAt = null;
+    this.watchingConfigFile = false;
   }
 
   async initializeEppo() {
-    try {
-      if (!process.env.EPPO_SDK_KEY) {
-        throw new Error('EPPO_SDK_KEY environment variable is required');
-      }
-      
-      console.log('Initializing Eppo SDK...');
-      await EppoSdk.init({
-        apiKey: process.env.EPPO_SDK_KEY,
-        assignmentLogger: {
-          logAssignment: (assignment) => {
-            this.assignmentLoggerCalled = true;
-            
-            // Use the flagKey from current request if assignment.flagKey is undefined
-            const flagKey = assignment.flagKey || (this.currentRequest ? this.currentRequest.flagKey : 'unknown');
-            const subject = assignment.subject || (this.currentRequest ? this.currentRequest.userId : 'unknown');
-            
-            // Store assignment by user+flag key for retrieval
-            const key = `${subject}:${flagKey}`;
-            const assignmentToStore = {
-              ...assignment,
-              flagKey: flagKey,
-              timestamp: assignment.timestamp || new Date().toISOString()
-            };
-            
-            this.recentAssignments.set(key, assignmentToStore);
-            
-            // Clean up old assignments (keep only last 100)
-            if (this.recentAssignments.size > 100) {
-              const firstKey = this.recentAssignments.keys().next().value;
-              this.recentAssignments.delete(firstKey);
-            }
-          }
+    if (this.configMode === 'offline') {
+      try {
+        if (!this.configFilePath) {
+          throw new Error('EPPO_CONFIG_FILE environment variable is required in offline mode');
         }
-      });
-      
-      this.client = EppoSdk.getInstance();
-      
-      // Disable assignment cache for demo purposes
-      if (this.client && typeof this.client.disableAssignmentCache === 'function') {
-        this.client.disableAssignmentCache();
+        await this.initializeFromFile(this.configFilePath, 'file');
+        this.watchConfigFile();
+      } catch (error) {
+        logger.error('Failed to initialize Eppo SDK from local configuration', { err: error });
+        healthService.recordFailure('eppo', error);
+        this.initialized = false;
+        throw error;
       }
-      
-      // Try alternative cache disable methods
-      if (this.client.assignmentCache !== undefined) {
-        this.client.assignmentCache = false;
+      return;
+    }
+
+    try {
+      await this.initializeOnline();
+      this.startSnapshots();
+    } catch (error) {
+      logger.error('Failed to initialize Eppo SDK', { err: error });
+      healthService.recordFailure('eppo', error);
+      this.initialized = false;
+
+      // Boot from the last-known-good configuration rather than serving null assignments
+      if (fs.existsSync(this.snapshotPath)) {
+        logger.warn('Falling back to last-known-good Eppo configuration', { path: this.snapshotPath });
+        await this.initializeFromFile(this.snapshotPath, 'snapshot');
+        return;
       }
-      
-      if (this.client._assignmentCache !== undefined) {
-        this.client._assignmentCache = false;
+      throw error;
+    }
+  }
+
+  async initializeOnline() {
+    if (!process.env.EPPO_SDK_KEY) {
+      throw new Error('EPPO_SDK_KEY environment variable is required');
+    }
+    
+    logger.info('Initializing Eppo SDK');
+    await EppoSdk.init({
+      apiKey: process.env.EPPO_SDK_KEY,
+      assignmentLogger: {
+        logAssignment: (assignment) => this.handleAssignmentLog(assignment)
       }
-      
-      if (this.client.setCacheSize && typeof this.client.setCacheSize === 'function') {
-        this.client.setCacheSize(0);
+    });
+    
+    this.client = EppoSdk.getInstance();
+    this.disableAssignmentCache();
+    
+    this.initialized = true;
+    this.configSource = 'online';
+    this.configLoadedAt = new Date().toISOString();
+    healthService.recordSuccess('eppo');
+    logger.info('Eppo SDK initialized');
+  }
+
+  /**
+   * Initialize the client from a local flag configuration file in the UFC
+   * format Eppo serves (the flags live under the top-level "flags" key).
+   * The node SDK only initializes from the network, so the client is built
+   * from the common SDK it wraps, with the flags held in memory and no polling.
+   * @param {string} filePath - Path to the configuration JSON
+   * @param {string} source - 'file' or 'snapshot', reported in getClientInfo
+   */
+  async initializeFromFile(filePath, source) {
+    const configuration = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const flags = configuration.flags;
+
+    if (!flags || typeof flags !== 'object' || Array.isArray(flags)) {
+      throw new Error(`Eppo configuration at ${filePath} has no "flags" object`);
+    }
+
+    const flagConfigurationStore = new MemoryOnlyConfigurationStore();
+    await flagConfigurationStore.setEntries(flags);
+
+    const client = new EppoClient({ flagConfigurationStore });
+    client.setAssignmentLogger({
+      logAssignment: (assignment) => this.handleAssignmentLog(assignment)
+    });
+    this.client = client;
+
+    this.disableAssignmentCache();
+
+    this.initialized = true;
+    this.configSource = source;
+    this.configLoadedAt = new Date().toISOString();
+    healthService.recordSuccess('eppo');
+    logger.info('Eppo SDK initialized from file', { source, path: filePath, flags: Object.keys(flags).length });
+  }
+
+  /**
+   * Reload the offline configuration whenever the file changes. A file that
+   * fails to load leaves the current configuration in place.
+   */
+  watchConfigFile() {
+    if (this.watchingConfigFile) return;
+    this.watchingConfigFile = true;
+
+    fs.watchFile(this.configFilePath, { interval: 2000 }, (current, previous) => {
+      if (current.mtimeMs === previous.mtimeMs) return;
+      this.initializeFromFile(this.configFilePath, 'file').catch(error => {
+        logger.error('Eppo configuration reload failed, keeping previous configuration', { err: error });
+        healthService.recordFailure('eppo', error);
+      });
+    }).unref();
+  }
+
+  /**
+   * Write the live flag configuration to disk so the next boot can fall back to it
+   * @returns {boolean} Whether a snapshot was written
+   */
+  snapshotConfiguration() {
+    if (!this.client || typeof this.client.getFlagConfigurations !== 'function') {
+      return false;
+    }
+
+    try {
+      const flags = this.client.getFlagConfigurations();
+      if (!flags || Object.keys(flags).length === 0) {
+        return false; // never replace a good snapshot with an empty one
       }
-      
-      this.initialized = true;
-      console.log('Eppo SDK initialized successfully');
-      
+
+      const snapshot = { createdAt: new Date().toISOString(), format: 'SERVER', flags };
+      const tempPath = `${this.snapshotPath}.tmp`;
+      fs.mkdirSync(path.dirname(this.snapshotPath), { recursive: true });
+      fs.writeFileSync(tempPath, JSON.stringify(snapshot, null, 2));
+      fs.renameSync(tempPath, this.snapshotPath);
+
+      this.lastSnapshotAt = snapshot.createdAt;
+      return true;
     } catch (error) {
-      console.error('Failed to initialize Eppo SDK:', error);
-      this.initialized = false;
-      throw error;
+      logger.error('Failed to snapshot Eppo configuration', { err: error });
+      return false;
+    }
+  }
+
+  startSnapshots() {
+    if (this.snapshotConfiguration()) {
+      logger.debug('Saved Eppo configuration snapshot', { path: this.snapshotPath });
+    }
+    setInterval(() => this.snapshotConfiguration(), this.snapshotIntervalMs).unref();
+  }
+
+  // Disable assignment cache for demo purposes
+  disableAssignmentCache() {
+    if (this.client && typeof this.client.disableAssignmentCache === 'function') {
+      this.client.disableAssignmentCache();
+    }
+    
+    // Try alternative cache disable methods
+    if (this.client.assignmentCache !== undefined) {
+      this.client.assignmentCache = false;
+    }
+    
+    if (this.client._assignmentCache !== undefined) {
+      this.client._assignmentCache = false;
+    }
+    
+    if (this.client.setCacheSize && typeof this.client.setCacheSize === 'function') {
+      this.client.setCacheSize(0);
+    }
+  }
+
+  handleAssignmentLog(assignment) {
+    const context = this.assignmentContext.getStore() || {};
+
+    // Eppo reports the flag key as featureFlag; fall back to the calling request's context
+    const flagKey = assignment.featureFlag || assignment.flagKey || context.flagKey || 'unknown';
+    const subject = assignment.subject || context.userId || 'unknown';
+
+    const assignmentToStore = {
+      ...assignment,
+      flagKey: flagKey,
+      timestamp: assignment.timestamp || new Date().toISOString()
+    };
+
+    // Hand the details straight back to the getAssignment call that triggered this log
+    if (context.captured) {
+      context.captured.push(assignmentToStore);
+    }
+
+    // Simulations evaluate flags for synthetic users, which are not exposures
+    if (context.logExposure === false) return;
+
+    // Keep the most recent assignments for debugging (only last 100)
+    this.recentAssignments.set(`${subject}:${flagKey}`, assignmentToStore);
+    if (this.recentAssignments.size > 100) {
+      const firstKey = this.recentAssignments.keys().next().value;
+      this.recentAssignments.delete(firstKey);
     }
+
+    // Persist every exposure so experiments can be analyzed after a restart
+    assignmentLogService.recordAssignment(assignmentToStore, context);
+    // The first exposure per user and flag is what tracked events are attributed to
+    exposureService.recordExposure({
+      flagKey,
+      userId: subject,
+      variation: assignment.variation,
+      allocation: assignment.allocation || null,
+      timestamp: assignmentToStore.timestamp,
+      source: context.source
+    });
+    metricsService.recordAssignment(flagKey, assignment.variation, context.source);
   }
 
-  getAssignment(flagKey, userId, userAttributes = {}) {
+  // valueType 'json' evaluates a JSON flag: `value` holds the JSON payload and
+  // `assignment` the variation key it came from. `source` names the route the
+  // assignment is logged against; logExposure false skips the exposure log.
+  getAssignment(flagKey, userId, userAttributes = {}, { valueType = 'string', source = 'unknown', logExposure = true } = {}) {
     if (!this.client || !this.initialized) {
-      console.warn('Eppo client not initialized, returning null assignment');
+      logger.warn('Eppo client not initialized, returning null assignment', { flagKey });
       return {
         assignment: null, 
+        value: null,
         flagKey, 
         userId, 
         userAttributes, 
@@ -90,39 +259,26 @@ class EppoService {
     }
     
     try {
-      // Reset the logger called flag
-      this.assignmentLoggerCalled = false;
-      
-      // Store the current request context so the logger can access it
-      this.currentRequest = { flagKey, userId, userAttributes };
+      const context = { flagKey, userId, userAttributes, source, logExposure, captured: [] };
+      const endTimer = metricsService.startAssignmentTimer(flagKey);
 
-      // Get assignment - this should trigger the assignment logger
-      const assignment = this.client.getStringAssignment(
-        flagKey, userId, userAttributes, null
-      );
-      
-      let assignmentDetails = null;
-      
-      // Check our stored assignments with correct key
-      const assignmentKey = `${userId}:${flagKey}`;
-      assignmentDetails = this.recentAssignments.get(assignmentKey);
-      
-      // Also check with undefined key (in case that's how it was stored)
-      if (!assignmentDetails) {
-        const undefinedKey = `${userId}:undefined`;
-        const storedWithUndefinedKey = this.recentAssignments.get(undefinedKey);
-        if (storedWithUndefinedKey) {
-          // Fix the assignment by adding the correct flagKey
-          assignmentDetails = {
-            ...storedWithUndefinedKey,
-            flagKey: flagKey
-          };
-          // Store it with the correct key for future use
-          this.recentAssignments.set(assignmentKey, assignmentDetails);
-          // Remove the incorrectly keyed entry
-          this.recentAssignments.delete(undefinedKey);
-        }
-      }
+      // Get assignment inside the request's context - this should trigger the assignment logger
+      const value = this.assignmentContext.run(context, () => (
+        valueType === 'json'
+          ? this.client.getJSONAssignment(flagKey, userId, userAttributes, null)
+          : this.client.getStringAssignment(flagKey, userId, userAttributes, null)
+      ));
+      endTimer();
+
+      const loggerFired = context.captured.length > 0;
+      const assignmentDetails = context.captured.find(
+        details => details.flagKey === flagKey && details.subject === userId
+      ) || null;
+
+      // JSON flags report the variation key through the logger, string flags return it directly
+      const assignment = valueType === 'json'
+        ? (assignmentDetails && typeof assignmentDetails.variation === 'string' ? assignmentDetails.variation : null)
+        : value;
 
       const fallbackDetails = {
         flagKey, 
@@ -133,20 +289,18 @@ class EppoService {
         featureFlag: null, 
         timestamp: new Date().toISOString(),
         debug: {
-          assignmentLoggerFired: this.assignmentLoggerCalled,
+          assignmentLoggerFired: loggerFired,
           storedAssignmentsCount: this.recentAssignments.size,
-          lookupKey: assignmentKey,
-          note: this.assignmentLoggerCalled
-            ? "Logger fired but assignment not found in storage"
+          note: loggerFired
+            ? "Logger fired but not for this flag and subject"
             : "Assignment logger did not fire - may be cached or default assignment"
         }
       };
 
-      // Clean up request context
-      this.currentRequest = null;
-
       return {
         assignment, 
+        value,
+        valueType,
         flagKey, 
         userId, 
         userAttributes,
@@ -162,9 +316,10 @@ class EppoService {
       };
       
     } catch (error) {
-      console.error('Error getting Eppo assignment:', error);
+      logger.error('Failed to get Eppo assignment', { flagKey, userId, err: error });
       return {
         assignment: null, 
+        value: null,
         flagKey, 
         userId, 
         userAttributes, 
@@ -175,24 +330,28 @@ class EppoService {
     }
   }
 
-  getBooleanAssignment(flagKey, userId, userAttributes = {}, defaultValue = false) {
+  // `source` and `logExposure` work as for getAssignment
+  getBooleanAssignment(flagKey, userId, userAttributes = {}, defaultValue = false, { source = 'unknown', logExposure = true } = {}) {
     if (!this.client || !this.initialized) {
-      console.warn('Eppo client not initialized');
+      logger.warn('Eppo client not initialized', { flagKey });
       return defaultValue;
     }
 
     try {
-      const assignment = this.client.getBooleanAssignment(flagKey, userId, userAttributes, defaultValue);
+      const context = { flagKey, userId, userAttributes, source, logExposure, captured: [] };
+      const assignment = this.assignmentContext.run(context, () => (
+        this.client.getBooleanAssignment(flagKey, userId, userAttributes, defaultValue)
+      ));
       return assignment;
     } catch (error) {
-      console.error('Error getting boolean assignment:', error);
+      logger.error('Failed to get boolean assignment', { flagKey, userId, err: error });
       return defaultValue;
     }
   }
 
   getNumericAssignment(flagKey, userId, userAttributes = {}, defaultValue = 0) {
     if (!this.client || !this.initialized) {
-      console.warn('Eppo client not initialized');
+      logger.warn('Eppo client not initialized', { flagKey });
       return defaultValue;
     }
 
@@ -200,7 +359,22 @@ class EppoService {
       const assignment = this.client.getNumericAssignment(flagKey, userId, userAttributes, defaultValue);
       return assignment;
     } catch (error) {
-      console.error('Error getting numeric assignment:', error);
+      logger.error('Failed to get numeric assignment', { flagKey, userId, err: error });
+      return defaultValue;
+    }
+  }
+
+  getJSONAssignment(flagKey, userId, userAttributes = {}, defaultValue = null) {
+    if (!this.client || !this.initialized) {
+      logger.warn('Eppo client not initialized', { flagKey });
+      return defaultValue;
+    }
+
+    try {
+      const assignment = this.client.getJSONAssignment(flagKey, userId, userAttributes, defaultValue);
+      return assignment;
+    } catch (error) {
+      logger.error('Failed to get JSON assignment', { flagKey, userId, err: error });
       return defaultValue;
     }
   }
@@ -215,7 +389,11 @@ class EppoService {
       hasClient: !!this.client,
       clientType: this.client ? 'EppoClient' : null,
       recentAssignmentsCount: this.recentAssignments.size,
-      hasAssignmentLogger: !!(this.client && this.client.assignmentLogger)
+      hasAssignmentLogger: !!(this.client && this.client.assignmentLogger),
+      configMode: this.configMode,
+      configSource: this.configSource,
+      configLoadedAt: this.configLoadedAt,
+      lastSnapshotAt: this.lastSnapshotAt
     };
   }
 }
@@ -0,0 +1,345 @@
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('experiments');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'experiments.json');
+const DEFAULT_FLAG_KEY = 'braze_message_experiment';
+const VALUE_TYPES = ['string', 'json'];
+const DELIVERY_TYPES = ['campaign', 'canvas'];
+// Channels a `messages` content set can carry, and the fields each one needs
+const MESSAGE_CHANNELS = {
+  email: ['subject', 'body'],
+  sms: ['body'],
+  push: ['body'],
+  in_app: ['campaign_id']
+};
+
+class ExperimentService {
+  constructor() {
+    this.configPath = process.env.EXPERIMENTS_CONFIG_PATH || DEFAULT_CONFIG_PATH;
+    this.experiments = new Map();
+    this.campaignToFlag = new Map();
+    this.defaultFlagKey = null;
+    this.loaded = false;
+  }
+
+  /**
+   * Load and validate the experiment registry. Throws if the config is invalid
+   * so the server refuses to start with a broken registry.
+   * @returns {Object} Summary of the loaded registry
+   */
+  loadExperiments() {
+    let config = { experiments: [] };
+
+    if (fs.existsSync(this.configPath)) {
+      try {
+        config = JSON.parse(fs.readFileSync(this.configPath, 'utf8'));
+      } catch (error) {
+        throw new Error(`Failed to parse experiments config at ${this.configPath}: ${error.message}`);
+      }
+    } else {
+      logger.warn('No experiments config found, using EXPERIMENT_FLAG_KEY only', { path: this.configPath });
+    }
+
+    const errors = [];
+    const experiments = new Map();
+    const campaignToFlag = new Map();
+
+    if (!Array.isArray(config.experiments)) {
+      errors.push('"experiments" must be an array');
+    } else {
+      config.experiments.forEach((experiment, index) => {
+        const label = `experiments[${index}]`;
+
+        if (!experiment || typeof experiment.flagKey !== 'string' || !experiment.flagKey.trim()) {
+          errors.push(`${label}: "flagKey" is required`);
+          return;
+        }
+        if (experiments.has(experiment.flagKey)) {
+          errors.push(`${label}: duplicate flagKey "${experiment.flagKey}"`);
+          return;
+        }
+        if (experiment.campaignIds !== undefined && !Array.isArray(experiment.campaignIds)) {
+          errors.push(`${label}: "campaignIds" must be an array`);
+          return;
+        }
+        if (experiment.campaignId !== undefined && typeof experiment.campaignId !== 'string') {
+          errors.push(`${label}: "campaignId" must be a string`);
+          return;
+        }
+        if (experiment.valueType !== undefined && !VALUE_TYPES.includes(experiment.valueType)) {
+          errors.push(`${label}: "valueType" must be one of ${VALUE_TYPES.join(', ')}`);
+          return;
+        }
+        if (experiment.subjectKeys !== undefined &&
+            (!Array.isArray(experiment.subjectKeys) || experiment.subjectKeys.length === 0 ||
+             experiment.subjectKeys.some(key => typeof key !== 'string' || !key.trim()))) {
+          errors.push(`${label}: "subjectKeys" must be a non-empty array of identifier names`);
+          return;
+        }
+        if (experiment.frequencyCap !== undefined && experiment.frequencyCap !== false) {
+          const { maxSends, windowMs } = experiment.frequencyCap || {};
+          if (!Number.isInteger(maxSends) || maxSends < 1 ||
+              (windowMs !== undefined && (!Number.isInteger(windowMs) || windowMs < 1))) {
+            errors.push(`${label}: "frequencyCap" must be false or { maxSends, windowMs } with positive integers`);
+            return;
+          }
+        }
+        if (experiment.delivery !== undefined) {
+          const deliveryErrors = this.validateDelivery(experiment.delivery, `${label}.delivery`);
+          if (deliveryErrors.length > 0) {
+            errors.push(...deliveryErrors);
+            return;
+          }
+        }
+        if (experiment.messages !== undefined) {
+          const messageErrors = this.validateMessages(experiment.messages, `${label}.messages`);
+          if (messageErrors.length > 0) {
+            errors.push(...messageErrors);
+            return;
+          }
+        }
+
+        (experiment.campaignIds || []).forEach(campaignId => {
+          if (campaignToFlag.has(campaignId)) {
+            errors.push(`${label}: campaign "${campaignId}" is already mapped to "${campaignToFlag.get(campaignId)}"`);
+          } else {
+            campaignToFlag.set(campaignId, experiment.flagKey);
+          }
+        });
+
+        experiments.set(experiment.flagKey, {
+          name: experiment.flagKey,
+          enabled: true,
+          valueType: 'string',
+          campaignIds: [],
+          ...experiment
+        });
+      });
+    }
+
+    // EXPERIMENT_FLAG_KEY keeps working on its own and takes precedence as the default
+    const defaultFlagKey = process.env.EXPERIMENT_FLAG_KEY || config.defaultFlagKey || DEFAULT_FLAG_KEY;
+    if (!experiments.has(defaultFlagKey)) {
+      if (config.defaultFlagKey && config.defaultFlagKey === defaultFlagKey) {
+        errors.push(`defaultFlagKey "${defaultFlagKey}" is not a registered experiment`);
+      } else {
+        experiments.set(defaultFlagKey, {
+          flagKey: defaultFlagKey, name: defaultFlagKey, enabled: true, valueType: 'string', campaignIds: []
+        });
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid experiments config (${this.configPath}):\n  - ${errors.join('\n  - ')}`);
+    }
+
+    this.experiments = experiments;
+    this.campaignToFlag = campaignToFlag;
+    this.defaultFlagKey = defaultFlagKey;
+    this.loaded = true;
+
+    logger.info('Loaded experiments', { experiments: experiments.size, defaultFlagKey });
+    return this.getSummary();
+  }
+
+  validateDelivery(delivery, label) {
+    if (!delivery || typeof delivery !== 'object' || Array.isArray(delivery)) {
+      return [`${label} must be an object`];
+    }
+    if (delivery.variations !== undefined &&
+        (!delivery.variations || typeof delivery.variations !== 'object' || Array.isArray(delivery.variations))) {
+      return [`${label}.variations must be an object keyed by variation`];
+    }
+
+    const errors = [];
+    const targets = [
+      ...(delivery.default !== undefined ? [[`${label}.default`, delivery.default]] : []),
+      ...Object.entries(delivery.variations || {}).map(([variation, target]) => [`${label}.variations.${variation}`, target])
+    ];
+
+    targets.forEach(([targetLabel, target]) => {
+      if (!target || typeof target !== 'object') {
+        errors.push(`${targetLabel} must be an object`);
+        return;
+      }
+      if (!DELIVERY_TYPES.includes(target.type)) {
+        errors.push(`${targetLabel}: "type" must be one of ${DELIVERY_TYPES.join(', ')}`);
+      }
+      if (typeof target.id !== 'string' || !target.id) {
+        errors.push(`${targetLabel}: "id" is required`);
+      }
+      if (target.properties !== undefined && (!target.properties || typeof target.properties !== 'object' || Array.isArray(target.properties))) {
+        errors.push(`${targetLabel}: "properties" must be an object`);
+      }
+    });
+
+    return errors;
+  }
+
+  getMessageChannels() {
+    return Object.keys(MESSAGE_CHANNELS);
+  }
+
+  validateMessages(messages, label) {
+    if (!messages || typeof messages !== 'object' || Array.isArray(messages)) {
+      return [`${label} must be an object`];
+    }
+    if (messages.variations !== undefined &&
+        (!messages.variations || typeof messages.variations !== 'object' || Array.isArray(messages.variations))) {
+      return [`${label}.variations must be an object keyed by variation`];
+    }
+    if (messages.campaignId !== undefined && typeof messages.campaignId !== 'string') {
+      return [`${label}.campaignId must be a string`];
+    }
+
+    const errors = [];
+    const contentSets = [
+      ...(messages.default !== undefined ? [[`${label}.default`, messages.default]] : []),
+      ...Object.entries(messages.variations || {}).map(([variation, content]) => [`${label}.variations.${variation}`, content])
+    ];
+
+    contentSets.forEach(([contentLabel, content]) => {
+      if (!content || typeof content !== 'object' || Array.isArray(content) || Object.keys(content).length === 0) {
+        errors.push(`${contentLabel} must be an object with at least one channel`);
+        return;
+      }
+      Object.entries(content).forEach(([channel, channelContent]) => {
+        if (!MESSAGE_CHANNELS[channel]) {
+          errors.push(`${contentLabel}: unknown channel "${channel}", expected one of ${Object.keys(MESSAGE_CHANNELS).join(', ')}`);
+          return;
+        }
+        if (!channelContent || typeof channelContent !== 'object' || Array.isArray(channelContent)) {
+          errors.push(`${contentLabel}.${channel} must be an object`);
+          return;
+        }
+        MESSAGE_CHANNELS[channel]
+          .filter(field => typeof channelContent[field] !== 'string' || !channelContent[field])
+          .forEach(field => errors.push(`${contentLabel}.${channel}: "${field}" is required`));
+      });
+    });
+
+    return errors;
+  }
+
+  /**
+   * Per-channel message content for a variation: the variation's entry under
+   * `messages.variations`, else `messages.default`
+   * @param {Object} experiment - A registered experiment
+   * @param {string} variation - The assigned variation key
+   * @returns {Object|null} { content, campaignId, source }, or null if the experiment has none
+   */
+  getMessageContent(experiment, variation) {
+    const messages = experiment.messages || {};
+    const variationContent = variation !== null && variation !== undefined
+      ? (messages.variations || {})[variation]
+      : undefined;
+
+    if (variationContent) {
+      return { content: variationContent, campaignId: messages.campaignId || null, source: 'variation' };
+    }
+    if (messages.default) {
+      return { content: messages.default, campaignId: messages.campaignId || null, source: 'experiment_default' };
+    }
+    return null;
+  }
+
+  /**
+   * Pick the Braze campaign or Canvas to trigger for a variation. Checked in
+   * order: the variation's target, the experiment's default target, the
+   * experiment's campaignId, then BRAZE_WEBHOOK_CAMPAIGN_ID.
+   * @param {Object} experiment - A registered experiment
+   * @param {string} variation - The assigned variation key
+   * @returns {Object|null} { type, id, properties, source }, or null if nothing is configured
+   */
+  getDeliveryTarget(experiment, variation) {
+    const delivery = experiment.delivery || {};
+    const variationTarget = variation !== null && variation !== undefined
+      ? (delivery.variations || {})[variation]
+      : undefined;
+
+    if (variationTarget) {
+      return { properties: {}, ...variationTarget, source: 'variation' };
+    }
+    if (delivery.default) {
+      return { properties: {}, ...delivery.default, source: 'experiment_default' };
+    }
+    if (experiment.campaignId) {
+      return { type: 'campaign', id: experiment.campaignId, properties: {}, source: 'experiment_campaign' };
+    }
+    if (process.env.BRAZE_WEBHOOK_CAMPAIGN_ID) {
+      return { type: 'campaign', id: process.env.BRAZE_WEBHOOK_CAMPAIGN_ID, properties: {}, source: 'env' };
+    }
+    return null;
+  }
+
+  /**
+   * Look up a registered experiment by flag key
+   * @param {string} flagKey - The Eppo flag key
+   * @returns {Object|null} The experiment config, or null if unknown
+   */
+  getExperiment(flagKey) {
+    return this.experiments.get(flagKey) || null;
+  }
+
+  getDefaultExperiment() {
+    return this.getExperiment(this.defaultFlagKey);
+  }
+
+  /**
+   * Resolve which experiment a request is for. Checked in order: trigger
+   * properties, request body, query string, campaign mapping, then the default.
+   * @param {Object} request - { body, query }
+   * @returns {Object} { experiment, flagKey, source, error }
+   */
+  resolveExperiment({ body = {}, query = {} } = {}) {
+    const triggerProperties = body.trigger_properties || {};
+
+    const candidates = [
+      ['trigger_properties', triggerProperties.eppo_flagkey || triggerProperties.eppo_flag_key],
+      ['body', body.eppo_flagkey || body.eppo_flag_key || body.flagKey],
+      ['query', query.flagKey || query.flag_key]
+    ];
+
+    for (const [source, flagKey] of candidates) {
+      if (flagKey) {
+        return this.buildResolution(flagKey, source);
+      }
+    }
+
+    const campaignId = body.campaign_id || triggerProperties.campaign_id || query.campaign_id;
+    if (campaignId && this.campaignToFlag.has(campaignId)) {
+      return this.buildResolution(this.campaignToFlag.get(campaignId), 'campaign');
+    }
+
+    return this.buildResolution(this.defaultFlagKey, 'default');
+  }
+
+  buildResolution(flagKey, source) {
+    const experiment = this.getExperiment(flagKey);
+
+    if (!experiment) {
+      return { experiment: null, flagKey, source, error: `Unknown experiment flag key: ${flagKey}` };
+    }
+    if (experiment.enabled === false) {
+      return { experiment: null, flagKey, source, error: `Experiment is disabled: ${flagKey}` };
+    }
+
+    return { experiment, flagKey, source, error: null };
+  }
+
+  getSummary() {
+    return {
+      loaded: this.loaded,
+      configPath: this.configPath,
+      defaultFlagKey: this.defaultFlagKey,
+      experiments: Array.from(this.experiments.values()).map(({ flagKey, name, enabled, valueType, subjectKeys, campaignId, campaignIds, delivery, messages, frequencyCap }) => ({
+        flagKey, name, enabled, valueType, subjectKeys, campaignId, campaignIds, delivery, messages, frequencyCap
+      }))
+    };
+  }
+}
+
+module.exports = new ExperimentService();
@@ -0,0 +1,233 @@
+const fs = require('fs');
+const path = require('path');
+const { createLogger, runInBackground } = require('./logger');
+
+const logger = createLogger('exposures');
+
+const DEFAULT_STORE_PATH = path.join(__dirname, '..', 'data', 'exposures.ndjson');
+// Written by older versions as one JSON object; read when the default store does not exist yet
+const LEGACY_STORE_PATH = path.join(__dirname, '..', 'data', 'exposures.json');
+const DEFAULT_RETENTION_MS = 90 * 24 * 60 * 60 * 1000;
+const DEFAULT_MAX_ENTRIES = 100000;
+// The file is rewritten once it holds this many more lines than live entries
+const COMPACT_SLACK_LINES = 10000;
+
+/**
+ * First exposure per user and flag, kept in a local file so tracked events
+ * can be attributed to the variant the user actually saw, even after a
+ * restart. Later exposures never replace the first one. New exposures are
+ * appended to the file as ndjson; entries older than the retention period
+ * or beyond the size limit are dropped, oldest first.
+ */
+class ExposureService {
+  constructor() {
+    this.storePath = process.env.EXPOSURE_STORE_PATH || DEFAULT_STORE_PATH;
+    this.legacyStorePath = process.env.EXPOSURE_STORE_PATH ? null : LEGACY_STORE_PATH;
+    this.retentionMs = parseInt(process.env.EXPOSURE_RETENTION_MS, 10) || DEFAULT_RETENTION_MS;
+    this.maxEntries = parseInt(process.env.EXPOSURE_MAX_ENTRIES, 10) || DEFAULT_MAX_ENTRIES;
+    this.saveDelayMs = 1000;
+    // Insertion order is exposure order, so the first entries are the oldest
+    this.exposures = new Map();
+    this.pending = [];
+    this.fileLines = 0;
+    this.compactNeeded = false;
+    this.loaded = false;
+    this.saveTimer = null;
+    this.saving = Promise.resolve();
+    this.metrics = { recorded: 0, attributed: 0, unexposed: 0, expired: 0, evicted: 0 };
+  }
+
+  /**
+   * Read the store. A JSON object keyed by "<userId>:<flagKey>", as older
+   * versions wrote to data/exposures.json, is read too and rewritten as
+   * ndjson on the next save.
+   */
+  load() {
+    if (this.loaded) return;
+    this.loaded = true;
+
+    const sourcePath = [this.storePath, this.legacyStorePath].find(candidate => candidate && fs.existsSync(candidate));
+    if (!sourcePath) return;
+    try {
+      const lines = fs.readFileSync(sourcePath, 'utf8').split('\n').filter(line => line.trim());
+      let skipped = 0;
+      lines.forEach(line => {
+        let record;
+        try {
+          record = JSON.parse(line);
+        } catch (error) {
+          // e.g. a line cut short by a crash mid-append
+          skipped++;
+          return;
+        }
+        if (record.flagKey !== undefined) {
+          const { userId, flagKey, ...exposure } = record;
+          const key = `${userId}:${flagKey}`;
+          if (!this.exposures.has(key)) this.exposures.set(key, exposure);
+        } else {
+          Object.entries(record).forEach(([key, exposure]) => this.exposures.set(key, exposure));
+          this.compactNeeded = true;
+        }
+      });
+      this.fileLines = sourcePath === this.storePath ? lines.length : 0;
+      this.prune();
+      if (this.fileLines !== this.exposures.size) this.compactNeeded = true;
+      if (skipped > 0) {
+        logger.warn('Skipped unreadable exposure history lines', { lines: skipped, path: sourcePath });
+      }
+      logger.info('Loaded exposure history', { pairs: this.exposures.size, path: sourcePath });
+    } catch (error) {
+      logger.error('Failed to load exposure history', { path: sourcePath, err: error });
+    }
+    if (this.compactNeeded) this.scheduleSave();
+  }
+
+  /**
+   * Drop exposures past the retention period, then the oldest beyond maxEntries
+   */
+  prune(now = Date.now()) {
+    for (const [key, exposure] of this.exposures) {
+      if (now - Date.parse(exposure.timestamp) < this.retentionMs) break;
+      this.exposures.delete(key);
+      this.metrics.expired++;
+    }
+    for (const key of this.exposures.keys()) {
+      if (this.exposures.size <= this.maxEntries) break;
+      this.exposures.delete(key);
+      this.metrics.evicted++;
+    }
+  }
+
+  /**
+   * Remember the user's first exposure to a flag; later ones are ignored
+   * @param {Object} exposure - { flagKey, userId, variation, allocation, timestamp, source }
+   * @returns {boolean} Whether this was the first exposure
+   */
+  recordExposure({ flagKey, userId, variation, allocation = null, timestamp, source = 'unknown' }) {
+    if (variation === null || variation === undefined) return false;
+
+    this.load();
+    const key = `${userId}:${flagKey}`;
+    if (this.exposures.has(key)) return false;
+
+    const exposure = {
+      variation: String(variation),
+      allocation,
+      timestamp: timestamp || new Date().toISOString(),
+      source
+    };
+    this.exposures.set(key, exposure);
+    this.pending.push({ userId, flagKey, ...exposure });
+    this.metrics.recorded++;
+    this.prune();
+    this.scheduleSave();
+    return true;
+  }
+
+  /**
+   * @param {string} userId - The user ID
+   * @param {string} flagKey - The flag key
+   * @returns {Object|null} { variation, allocation, timestamp, source }, or null if never exposed
+   */
+  getFirstExposure(userId, flagKey) {
+    this.load();
+    return this.exposures.get(`${userId}:${flagKey}`) || null;
+  }
+
+  /**
+   * Attribute an event to the user's first exposure
+   * @param {string} userId - The user ID
+   * @param {string} flagKey - The flag key
+   * @param {Date} eventTime - When the event happened
+   * @returns {Object} { exposed, variation, allocation, exposedAt, timeToConvertMs }
+   */
+  attributeEvent(userId, flagKey, eventTime = new Date()) {
+    const exposure = this.getFirstExposure(userId, flagKey);
+    if (!exposure) {
+      this.metrics.unexposed++;
+      return { exposed: false, variation: null, allocation: null, exposedAt: null, timeToConvertMs: null };
+    }
+
+    this.metrics.attributed++;
+    return {
+      exposed: true,
+      variation: exposure.variation,
+      allocation: exposure.allocation,
+      exposedAt: exposure.timestamp,
+      timeToConvertMs: Math.max(0, eventTime.getTime() - Date.parse(exposure.timestamp))
+    };
+  }
+
+  scheduleSave() {
+    if (this.saveTimer) return;
+    // Not tied to the request that happened to schedule it
+    this.saveTimer = runInBackground(() => setTimeout(() => {
+      this.saveTimer = null;
+      this.save();
+    }, this.saveDelayMs));
+    this.saveTimer.unref();
+  }
+
+  /**
+   * Append new exposures to the store, or rewrite it when it holds many more
+   * lines than live entries (expired, evicted or legacy ones)
+   */
+  save() {
+    this.prune();
+    const compact = this.compactNeeded || this.fileLines + this.pending.length > this.exposures.size + COMPACT_SLACK_LINES;
+    const records = compact
+      ? [...this.exposures].map(([key, exposure]) => {
+        const separator = key.lastIndexOf(':');
+        return { userId: key.slice(0, separator), flagKey: key.slice(separator + 1), ...exposure };
+      })
+      : this.pending;
+    this.pending = [];
+    if (records.length === 0 && !compact) return this.saving;
+
+    const lines = records.map(record => `${JSON.stringify(record)}\n`).join('');
+    const tempPath = `${this.storePath}.tmp`;
+    this.compactNeeded = false;
+    this.saving = this.saving
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(this.storePath), { recursive: true });
+        if (compact) {
+          await fs.promises.writeFile(tempPath, lines);
+          await fs.promises.rename(tempPath, this.storePath);
+          this.fileLines = records.length;
+        } else {
+          await fs.promises.appendFile(this.storePath, lines);
+          this.fileLines += records.length;
+        }
+      })
+      .catch(error => {
+        // Everything still in memory is written by the next compaction
+        this.compactNeeded = true;
+        logger.error('Failed to save exposure history', { err: error });
+      });
+    return this.saving;
+  }
+
+  /**
+   * Write any pending changes, e.g. on shutdown
+   */
+  flush() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+      return this.save();
+    }
+    return this.saving;
+  }
+
+  getStats() {
+    return {
+      ...this.metrics,
+      trackedPairs: this.exposures.size,
+      maxEntries: this.maxEntries,
+      retentionMs: this.retentionMs,
+      storePath: this.storePath
+    };
+  }
+}
+
+module.exports = new ExposureService();
@@ -0,0 +1,189 @@
+const fs = require('fs');
+const path = require('path');
+const experimentService = require('./experimentService');
+const { createLogger, runInBackground } = require('./logger');
+
+const logger = createLogger('frequencyCap');
+
+const DEFAULT_STORE_PATH = path.join(__dirname, '..', 'data', 'frequency-caps.json');
+
+/**
+ * Caps how many times a user is sent a flag's campaign or Canvas within a
+ * window. Send times are kept per user and flag in a local JSON file so caps
+ * survive restarts. An experiment can override the defaults with
+ * `frequencyCap: { maxSends, windowMs }` in the registry, or opt out with
+ * `frequencyCap: false`.
+ */
+class FrequencyCapService {
+  constructor() {
+    this.storePath = process.env.FREQUENCY_CAP_STORE_PATH || DEFAULT_STORE_PATH;
+    // No default cap unless FREQUENCY_CAP_MAX_SENDS is set
+    this.defaultMaxSends = parseInt(process.env.FREQUENCY_CAP_MAX_SENDS, 10) || null;
+    this.defaultWindowMs = parseInt(process.env.FREQUENCY_CAP_WINDOW_MS, 10) || 24 * 60 * 60 * 1000;
+    this.saveDelayMs = 1000;
+    this.sends = new Map();
+    this.loaded = false;
+    this.saveTimer = null;
+    this.saving = Promise.resolve();
+    this.metrics = { allowed: 0, capped: 0, released: 0 };
+  }
+
+  load() {
+    if (this.loaded) return;
+    this.loaded = true;
+
+    if (!fs.existsSync(this.storePath)) return;
+    try {
+      const stored = JSON.parse(fs.readFileSync(this.storePath, 'utf8'));
+      Object.entries(stored).forEach(([key, times]) => this.sends.set(key, times));
+      logger.info('Loaded frequency cap history', { pairs: this.sends.size, path: this.storePath });
+    } catch (error) {
+      logger.error('Failed to load frequency cap history', { path: this.storePath, err: error });
+    }
+  }
+
+  /**
+   * The cap that applies to an experiment
+   * @param {Object} experiment - A registered experiment
+   * @returns {Object|null} { maxSends, windowMs }, or null when uncapped
+   */
+  getCap(experiment) {
+    if (experiment.frequencyCap === false) return null;
+
+    const cap = experiment.frequencyCap || {};
+    const maxSends = cap.maxSends !== undefined ? cap.maxSends : this.defaultMaxSends;
+    if (!maxSends) return null;
+    return { maxSends, windowMs: cap.windowMs || this.defaultWindowMs };
+  }
+
+  recentSends(key, windowMs, now) {
+    return (this.sends.get(key) || []).filter(time => now - time < windowMs);
+  }
+
+  /**
+   * Check whether the user may be sent this experiment's delivery again and,
+   * if so, reserve the send straight away. Reserving before the Braze call
+   * means concurrent requests for the same user cannot all pass the cap;
+   * release() gives the slot back if the send then fails.
+   * @param {string} userId - The user ID
+   * @param {Object} experiment - A registered experiment
+   * @param {Object} options - { reserve } false only checks, e.g. for a dry run
+   * @returns {Object} { allowed, sends, maxSends, windowMs, resetAt, reservedAt }
+   */
+  check(userId, experiment, { reserve = true } = {}) {
+    this.load();
+
+    const cap = this.getCap(experiment);
+    if (!cap) {
+      return { allowed: true, sends: null, maxSends: null, windowMs: null, resetAt: null, reservedAt: null };
+    }
+
+    const key = `${userId}:${experiment.flagKey}`;
+    const now = Date.now();
+    const sends = this.recentSends(key, cap.windowMs, now);
+    const allowed = sends.length < cap.maxSends;
+    this.metrics[allowed ? 'allowed' : 'capped']++;
+
+    if (allowed && reserve) {
+      this.sends.set(key, [...sends, now]);
+      this.scheduleSave();
+    }
+
+    return {
+      allowed,
+      sends: sends.length,
+      maxSends: cap.maxSends,
+      windowMs: cap.windowMs,
+      // The oldest send in the window is the next one to expire
+      resetAt: allowed ? null : new Date(Math.min(...sends) + cap.windowMs).toISOString(),
+      reservedAt: allowed && reserve ? now : null
+    };
+  }
+
+  /**
+   * Give back a send reserved by check(), when nothing was sent after all
+   * @param {string} userId - The user ID
+   * @param {Object} experiment - A registered experiment
+   * @param {Object} reservation - The check() result, or anything with its reservedAt
+   */
+  release(userId, experiment, reservation) {
+    if (!reservation || !reservation.reservedAt) return;
+
+    const key = `${userId}:${experiment.flagKey}`;
+    const times = this.sends.get(key) || [];
+    const index = times.lastIndexOf(reservation.reservedAt);
+    if (index === -1) return;
+
+    this.sends.set(key, [...times.slice(0, index), ...times.slice(index + 1)]);
+    this.metrics.released++;
+    this.scheduleSave();
+  }
+
+  scheduleSave() {
+    if (this.saveTimer) return;
+    // Not tied to the request that happened to schedule it
+    this.saveTimer = runInBackground(() => setTimeout(() => {
+      this.saveTimer = null;
+      this.save();
+    }, this.saveDelayMs));
+    this.saveTimer.unref();
+  }
+
+  /**
+   * Write the send history to disk, dropping sends older than any window in use
+   */
+  save() {
+    const now = Date.now();
+    const maxWindowMs = Math.max(this.defaultWindowMs, ...this.windowsInUse());
+    const stored = {};
+
+    this.sends.forEach((times, key) => {
+      const recent = times.filter(time => now - time < maxWindowMs);
+      if (recent.length > 0) {
+        stored[key] = recent;
+      } else {
+        this.sends.delete(key);
+      }
+    });
+
+    const tempPath = `${this.storePath}.tmp`;
+    this.saving = this.saving
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(this.storePath), { recursive: true });
+        await fs.promises.writeFile(tempPath, JSON.stringify(stored));
+        await fs.promises.rename(tempPath, this.storePath);
+      })
+      .catch(error => logger.error('Failed to save frequency cap history', { err: error }));
+    return this.saving;
+  }
+
+  // Windows configured on registered experiments, so pruning never drops a send still inside one
+  windowsInUse() {
+    return Array.from(experimentService.experiments.values())
+      .map(experiment => experiment.frequencyCap && experiment.frequencyCap.windowMs)
+      .filter(Boolean);
+  }
+
+  /**
+   * Write any pending changes, e.g. on shutdown
+   */
+  flush() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+      return this.save();
+    }
+    return this.saving;
+  }
+
+  getStats() {
+    return {
+      ...this.metrics,
+      defaultMaxSends: this.defaultMaxSends,
+      defaultWindowMs: this.defaultWindowMs,
+      trackedPairs: this.sends.size
+    };
+  }
+}
+
+module.exports = new FrequencyCapService();
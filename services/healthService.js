@@ -0,0 +1,182 @@
+const { createLogger } = require('./logger');
+
+const logger = createLogger('health');
+
+/**
+ * Tracks startup, dependency outcomes and configuration problems for
+ * /livez, /readyz and /health. Services report each upstream call's outcome;
+ * nothing here calls out to a dependency itself.
+ */
+class HealthService {
+  constructor() {
+    this.startedAt = new Date().toISOString();
+    this.startup = { status: 'starting', completedAt: null, timeoutMs: null, error: null };
+    this.shuttingDown = false;
+    this.dependencies = new Map();
+    this.config = { errors: [], warnings: [] };
+  }
+
+  /**
+   * Declare a dependency
+   * @param {string} name - e.g. 'eppo'
+   * @param {Object} options - { required } must have succeeded for /readyz to pass,
+   *   { enabled } false when it is not configured at all
+   */
+  register(name, { required = false, enabled = true } = {}) {
+    Object.assign(this.getState(name), { required, enabled });
+  }
+
+  getState(name) {
+    if (!this.dependencies.has(name)) {
+      this.dependencies.set(name, {
+        required: false,
+        enabled: true,
+        lastSuccessAt: null,
+        lastFailureAt: null,
+        lastError: null,
+        consecutiveFailures: 0
+      });
+    }
+    return this.dependencies.get(name);
+  }
+
+  recordSuccess(name) {
+    const state = this.getState(name);
+    state.lastSuccessAt = new Date().toISOString();
+    state.consecutiveFailures = 0;
+  }
+
+  recordFailure(name, error) {
+    const state = this.getState(name);
+    state.lastFailureAt = new Date().toISOString();
+    state.lastError = error ? error.message || String(error) : null;
+    state.consecutiveFailures++;
+  }
+
+  setConfigReport(report) {
+    this.config = report;
+  }
+
+  /**
+   * Follow Eppo's initialization: /readyz fails until it resolves, and the
+   * startup is reported as timed out if it takes longer than timeoutMs.
+   * Never rejects, so startup failures cannot become unhandled rejections.
+   * @param {Promise} initialization - The initialization promise
+   * @param {number} timeoutMs - How long startup may take
+   * @returns {Promise<boolean>} Whether initialization succeeded
+   */
+  trackStartup(initialization, timeoutMs) {
+    this.startup.timeoutMs = timeoutMs;
+    const timer = setTimeout(() => {
+      if (this.startup.status !== 'starting') return;
+      this.startup.status = 'timed_out';
+      this.startup.error = `Eppo configuration did not load within ${timeoutMs}ms`;
+      logger.error('Startup timed out waiting for Eppo configuration', { timeoutMs });
+    }, timeoutMs);
+    timer.unref();
+
+    return initialization.then(
+      () => {
+        clearTimeout(timer);
+        this.startup = { ...this.startup, status: 'ready', completedAt: new Date().toISOString(), error: null };
+        return true;
+      },
+      error => {
+        clearTimeout(timer);
+        this.startup = { ...this.startup, status: 'failed', completedAt: new Date().toISOString(), error: error.message };
+        logger.error('Startup failed: Eppo configuration could not be loaded', { err: error });
+        return false;
+      }
+    );
+  }
+
+  markShuttingDown() {
+    this.shuttingDown = true;
+  }
+
+  /**
+   * Status of one dependency:
+   *   disabled      - not configured, so never called
+   *   misconfigured - its settings failed validation
+   *   pending       - no outcome recorded yet
+   *   ok            - the last call succeeded
+   *   degraded      - the last call failed, an earlier one succeeded
+   *   failing       - it has never succeeded
+   */
+  getDependencyStatus(name) {
+    const state = this.getState(name);
+    const configIssues = [...this.config.errors, ...this.config.warnings].filter(issue => issue.dependency === name);
+    let status;
+
+    if (!state.enabled) {
+      status = 'disabled';
+    } else if (configIssues.length > 0) {
+      status = 'misconfigured';
+    } else if (!state.lastSuccessAt && !state.lastFailureAt) {
+      status = 'pending';
+    } else if (!state.lastFailureAt || state.lastSuccessAt > state.lastFailureAt) {
+      status = 'ok';
+    } else {
+      status = state.lastSuccessAt ? 'degraded' : 'failing';
+    }
+
+    const { enabled, ...details } = state;
+    return { status, ...details };
+  }
+
+  /**
+   * @returns {Object} { ready, reasons, startup, checks }
+   */
+  getReadiness() {
+    const checks = {};
+    const reasons = [];
+
+    this.dependencies.forEach((state, name) => {
+      checks[name] = this.getDependencyStatus(name);
+      // A required dependency that has loaded once keeps serving through later failures
+      if (state.required && !state.lastSuccessAt) {
+        reasons.push(this.startup.status === 'starting'
+          ? `Waiting for ${name}`
+          : `${name} is ${checks[name].status}${checks[name].lastError ? `: ${checks[name].lastError}` : ''}`);
+      }
+    });
+
+    checks.config = {
+      status: this.config.errors.length > 0 ? 'invalid' : 'ok',
+      errors: this.config.errors,
+      warnings: this.config.warnings
+    };
+    // An optional dependency's settings only mark it misconfigured; the service still serves without it
+    this.config.errors
+      .filter(issue => !issue.dependency || this.getState(issue.dependency).required)
+      .forEach(issue => reasons.push(issue.message));
+
+    if (this.shuttingDown) {
+      reasons.unshift('Shutting down');
+    }
+
+    return {
+      ready: reasons.length === 0,
+      reasons,
+      startup: { startedAt: this.startedAt, ...this.startup },
+      checks
+    };
+  }
+
+  /**
+   * Overall status for /health: unhealthy when not ready, degraded when an
+   * optional dependency is failing or misconfigured, or the configuration
+   * has warnings
+   */
+  getOverallStatus(readiness = this.getReadiness()) {
+    if (!readiness.ready) return 'unhealthy';
+
+    const troubled = Object.entries(readiness.checks).some(([name, check]) => (
+      name !== 'config' && ['degraded', 'failing', 'misconfigured'].includes(check.status)
+    ));
+    const { errors, warnings } = readiness.checks.config;
+    return troubled || errors.length > 0 || warnings.length > 0 ? 'degraded' : 'healthy';
+  }
+}
+
+module.exports = new HealthService();
@@ -1,53 +1,157 @@
 const axios = require('axios');
+const LruCache = require('./lruCache');
+const { createLogger, getRequestId, runInBackground } = require('./logger');
+const metricsService = require('./metricsService');
+const healthService = require('./healthService');
+const { readInteger } = require('./configValidator');
+
+const logger = createLogger('hightouchService');
 
 class HightouchService {
   constructor() {
     this.apiKey = process.env.HIGHTOUCH_API_KEY;
     this.baseUrl = process.env.HIGHTOUCH_API_URL || 'https://personalization.us-west-2.hightouch.com';
     this.collectionName = process.env.HIGHTOUCH_COLLECTION_NAME || 'customers';
+    this.timeoutMs = readInteger('HIGHTOUCH_TIMEOUT_MS', 5000, { min: 1 });
+
+    // Lookup cache: fresh for cacheTtlMs, then served stale (while revalidating)
+    // until staleTtlMs. 404s are cached for negativeCacheTtlMs; errors are never cached.
+    this.cacheTtlMs = readInteger('HIGHTOUCH_CACHE_TTL_MS', 60 * 1000);
+    this.staleTtlMs = readInteger('HIGHTOUCH_CACHE_STALE_MS', 5 * 60 * 1000);
+    this.negativeCacheTtlMs = readInteger('HIGHTOUCH_NEGATIVE_CACHE_TTL_MS', 30 * 1000);
+    this.cache = new LruCache(readInteger('HIGHTOUCH_CACHE_MAX_ENTRIES', 10000));
+    this.inFlight = new Map();
+    this.cacheStats = {
+      hits: 0,
+      staleHits: 0,
+      negativeHits: 0,
+      misses: 0,
+      coalesced: 0,
+      revalidations: 0,
+      errors: 0
+    };
   }
 
   /**
-   * Look up user audiences from Hightouch Personalization API
+   * Look up user audiences, served from the cache when possible
    * @param {string} userId - The user ID to look up
    * @returns {Object} User audiences and attributes
    */
   async getUserAudiences(userId) {
     if (!this.apiKey) {
-      console.warn('⚠️ HIGHTOUCH_API_KEY not configured, skipping audience lookup');
+      // Warned about once, when the hightouch enrichment provider is created
+      logger.debug('HIGHTOUCH_API_KEY not configured, skipping audience lookup', { userId });
       return { audiences: {}, attributes: {} };
     }
 
+    const entry = this.cache.get(userId);
+    const now = Date.now();
+
+    if (entry && now < entry.freshUntil) {
+      this.cacheStats[entry.value.found ? 'hits' : 'negativeHits']++;
+      metricsService.recordHightouchLookup(entry.value.found ? 'hit' : 'negative_hit');
+      return entry.value;
+    }
+
+    if (entry && now < entry.staleUntil) {
+      // Answer immediately and refresh in the background
+      this.cacheStats.staleHits++;
+      metricsService.recordHightouchLookup('stale_hit');
+      if (!this.inFlight.has(userId)) {
+        this.cacheStats.revalidations++;
+        // The refresh outlives this request, so it does not carry its request ID
+        runInBackground(() => this.lookupAndCache(userId)).catch(() => {});
+      }
+      return entry.value;
+    }
+
+    this.cacheStats.misses++;
+    metricsService.recordHightouchLookup('miss');
+    return this.lookupAndCache(userId);
+  }
+
+  /**
+   * Fetch from Hightouch and cache the result. Concurrent lookups for the
+   * same user share one request.
+   * @param {string} userId - The user ID to look up
+   * @returns {Promise<Object>} User audiences and attributes
+   */
+  lookupAndCache(userId) {
+    if (this.inFlight.has(userId)) {
+      this.cacheStats.coalesced++;
+      return this.inFlight.get(userId);
+    }
+
+    const request = this.fetchUserAudiences(userId)
+      .then(result => {
+        if (result.error) {
+          this.cacheStats.errors++;
+        } else {
+          const ttl = result.found ? this.cacheTtlMs : this.negativeCacheTtlMs;
+          const now = Date.now();
+          this.cache.set(userId, {
+            value: result,
+            freshUntil: now + ttl,
+            staleUntil: now + Math.max(ttl, this.staleTtlMs)
+          });
+        }
+        return result;
+      })
+      .finally(() => this.inFlight.delete(userId));
+
+    this.inFlight.set(userId, request);
+    return request;
+  }
+
+  getCacheStats() {
+    const lookups = this.cacheStats.hits + this.cacheStats.staleHits + this.cacheStats.negativeHits + this.cacheStats.misses;
+    const served = lookups - this.cacheStats.misses;
+    return {
+      ...this.cacheStats,
+      size: this.cache.size,
+      inFlight: this.inFlight.size,
+      hitRate: lookups > 0 ? Number((served / lookups).toFixed(3)) : null,
+      ttlMs: this.cacheTtlMs,
+      staleTtlMs: this.staleTtlMs,
+      negativeTtlMs: this.negativeCacheTtlMs
+    };
+  }
+
+  /**
+   * Look up user audiences from Hightouch Personalization API
+   * @param {string} userId - The user ID to look up
+   * @returns {Object} User audiences and attributes
+   */
+  async fetchUserAudiences(userId) {
+    const startedAt = process.hrtime.bigint();
+    const elapsedSeconds = () => Number(process.hrtime.bigint() - startedAt) / 1e9;
+
     try {
-      console.log(`🔍 Looking up Hightouch audiences for user ${userId}...`);
+      logger.debug('Looking up Hightouch audiences', { userId });
       
       const response = await axios.get(
-        `${this.baseUrl}/v1/collections/${this.collectionName}/records/id/${userId}`,
+        `${this.baseUrl}/v1/collections/${this.collectionName}/records/id/${encodeURIComponent(userId)}`,
         {
           headers: {
             'Authorization': `Bearer ${this.apiKey}`,
-            'Content-Type': 'application/json'
+            'Content-Type': 'application/json',
+            ...(getRequestId() && { 'X-Request-Id': getRequestId() })
           },
-          timeout: 5000 // 5 second timeout
+          timeout: this.timeoutMs
         }
       );
 
+      metricsService.recordHightouchRequest(response.status, elapsedSeconds());
+      healthService.recordSuccess('hightouch');
       const userData = response.data;
       
       // Extract audiences (typically in _audiences field)
       const audiences = userData._audiences || {};
       
-      // Extract other relevant attributes
-      const attributes = {
-        lifetime_value: userData.lifetime_value,
-        churn_risk: userData.churn_risk,
-        tier: userData.tier,
-        subscription_status: userData.subscription_status,
-        // Add any other attributes you want to use in experiments
-        ...userData.custom_attributes
-      };
+      // Keep every other field; config/attribute-mapping.json decides which become subject attributes
+      const { _audiences, ...attributes } = userData;
 
-      console.log(`✅ Found ${Object.keys(audiences).length} audiences for user ${userId}`);
+      logger.debug('Found Hightouch audiences', { userId, audiences: Object.keys(audiences).length });
       
       return {
         audiences,
@@ -56,12 +160,15 @@ class HightouchService {
       };
 
     } catch (error) {
+      metricsService.recordHightouchRequest(error.response?.status === 404 ? 404 : 'error', elapsedSeconds());
       if (error.response?.status === 404) {
-        console.log(`ℹ️ User ${userId} not found in Hightouch`);
+        healthService.recordSuccess('hightouch');
+        logger.debug('User not found in Hightouch', { userId });
         return { audiences: {}, attributes: {}, found: false };
       }
       
-      console.error(`Hightouch API error for user ${userId}:`, error.response?.data || error.message);
+      logger.error('Hightouch API request failed', { userId, err: error, response: error.response?.data });
+      healthService.recordFailure('hightouch', error);
       
       // Return empty data on error to not block the main flow
       return { audiences: {}, attributes: {}, found: false, error: error.message };
@@ -78,73 +185,6 @@ class HightouchService {
     const { audiences } = await this.getUserAudiences(userId);
     return audiences[audienceName] === true;
   }
-
-  /**
-   * Get user attributes enriched with audience data for Eppo experiments
-   * @param {string} userId - The user ID
-   * @param {Object} existingAttributes - Any existing user attributes from browser/request
-   * @returns {Object} Enriched attributes for experiments
-   */
-  async getEnrichedUserAttributes(userId, existingAttributes = {}) {
-    const { audiences, attributes, found } = await this.getUserAudiences(userId);
-    
-    let enrichedAttributes;
-    
-    if (found && Object.keys(audiences).length > 0) {
-      // Hightouch data available - use it as primary source
-      console.log(`✅ Using Hightouch audiences for user ${userId}`);
-      enrichedAttributes = {
-        ...existingAttributes,
-        ...attributes,
-        // Add specific audience flags as boolean attributes
-        premium_subscriber: audiences.premium_subscriber === true,
-        high_value_customer: audiences.high_value_customer === true,
-        at_risk_churn: audiences.at_risk_churn === true,
-        // Add any other audience flags you want to use in experiments
-      };
-    } else {
-      // No Hightouch data - use browser/request attributes as subject attributes
-      console.log(`ℹ️ No Hightouch data for user ${userId}, using browser attributes as subject attributes`);
-      enrichedAttributes = {
-        ...existingAttributes,
-        // Map subscription tier to premium_subscriber boolean
-        premium_subscriber: existingAttributes.premium_subscriber || 
-                           existingAttributes.isPremium || 
-                           existingAttributes.subscription_tier === 'premium' ||
-                           existingAttributes.subscriptionTier === 'premium' ||
-                           false,
-        high_value_customer: existingAttributes.high_value_customer || 
-                            existingAttributes.isHighValue || 
-                            existingAttributes.subscription_tier === 'premium' ||
-                            existingAttributes.subscriptionTier === 'premium' ||
-                            false,
-        at_risk_churn: existingAttributes.at_risk_churn || 
-                      existingAttributes.isAtRisk || 
-                      existingAttributes.subscription_tier === 'free' ||
-                      existingAttributes.subscriptionTier === 'free' ||
-                      false,
-        // Pass through any other browser attributes that might be relevant for experiments
-        subscription_tier: existingAttributes.subscription_tier || 
-                          existingAttributes.subscriptionTier || 
-                          existingAttributes.tier,
-        user_segment: existingAttributes.user_segment || existingAttributes.segment,
-        country: existingAttributes.country,
-        device_type: existingAttributes.device_type,
-        // Add a flag to indicate the source of the data
-        _attribute_source: 'browser'
-      };
-    }
-
-    // Remove undefined/null values
-    Object.keys(enrichedAttributes).forEach(key => {
-      if (enrichedAttributes[key] === undefined || enrichedAttributes[key] === null) {
-        delete enrichedAttributes[key];
-      }
-    });
-
-    console.log(`🔍 Final enriched attributes for user ${userId}:`, enrichedAttributes);
-    return enrichedAttributes;
-  }
 }
 
 module.exports = new HightouchService();
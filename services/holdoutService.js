@@ -0,0 +1,49 @@
+const eppoService = require('./eppoService');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('holdout');
+
+/**
+ * Global holdout group, decided by an Eppo boolean flag (HOLDOUT_FLAG_KEY).
+ * Users the flag returns true for are never sent a campaign or Canvas, but
+ * their experiment assignments are still logged as exposures so the holdout
+ * can be compared against everyone else.
+ */
+class HoldoutService {
+  constructor() {
+    this.flagKey = process.env.HOLDOUT_FLAG_KEY || null;
+    this.metrics = { evaluated: 0, heldOut: 0 };
+  }
+
+  isEnabled() {
+    return !!this.flagKey;
+  }
+
+  /**
+   * Evaluate the holdout flag for a user
+   * @param {string} userId - The user ID
+   * @param {Object} userAttributes - Subject attributes for targeting
+   * @param {Object} options - { source, logExposure } as for eppoService.getAssignment
+   * @returns {Object|null} { flagKey, inHoldout }, or null when no holdout is configured
+   */
+  evaluate(userId, userAttributes = {}, { source = 'unknown', logExposure = true } = {}) {
+    if (!this.isEnabled()) return null;
+
+    // Users outside the flag's allocations default to not held out
+    const inHoldout = eppoService.getBooleanAssignment(this.flagKey, userId, userAttributes, false, { source, logExposure }) === true;
+
+    this.metrics.evaluated++;
+    if (inHoldout) {
+      this.metrics.heldOut++;
+      logger.info('User is in the holdout group', { userId, flagKey: this.flagKey });
+    }
+
+    return { flagKey: this.flagKey, inHoldout };
+  }
+
+  getStats() {
+    return { flagKey: this.flagKey, ...this.metrics };
+  }
+}
+
+module.exports = new HoldoutService();
@@ -0,0 +1,119 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { trace: 10, debug: 20, info: 30, warn: 40, error: 50, silent: 100 };
+const REDACTED = '[REDACTED]';
+// Attribute objects whose values are hidden when LOG_REDACT_ATTRIBUTES is on
+const ATTRIBUTE_KEYS = ['attributes', 'userAttributes', 'user_attributes', 'subjectAttributes', 'custom_attributes'];
+const DEFAULT_REDACT_FIELDS = [
+  'email', 'phone', 'phone_number', 'first_name', 'last_name', 'name', 'address', 'ip', 'ip_address', 'dob', 'date_of_birth'
+];
+
+// Request-scoped context, so every log line of a request carries its correlation ID
+const requestContext = new AsyncLocalStorage();
+
+const config = {
+  level: LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] || LEVELS.info,
+  format: process.env.LOG_FORMAT || 'json',
+  redactFields: new Set(
+    (process.env.LOG_REDACT_FIELDS ? process.env.LOG_REDACT_FIELDS.split(',') : DEFAULT_REDACT_FIELDS)
+      .map(field => field.trim().toLowerCase())
+      .filter(Boolean)
+  ),
+  redactAttributes: process.env.LOG_REDACT_ATTRIBUTES !== 'false'
+};
+
+function getRequestId() {
+  const store = requestContext.getStore();
+  return store ? store.requestId : undefined;
+}
+
+/**
+ * Run a function outside any request context. Timers and background work
+ * started from it do not inherit the request ID of whichever request
+ * happened to start them.
+ * @param {Function} fn - Function to run
+ * @returns {*} The function's return value
+ */
+function runInBackground(fn) {
+  return requestContext.exit(fn);
+}
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.code && { code: error.code }),
+    ...(error.status && { status: error.status }),
+    ...(config.level <= LEVELS.debug && { stack: error.stack })
+  };
+}
+
+/**
+ * Copy a value for logging with PII removed: configured fields anywhere in
+ * the value are replaced, and so is every value inside an attribute object
+ * when LOG_REDACT_ATTRIBUTES is on (the keys stay visible).
+ */
+function redact(value, insideAttributes = false, depth = 0) {
+  if (value instanceof Error) return serializeError(value);
+  if (value === null || typeof value !== 'object') {
+    return insideAttributes ? REDACTED : value;
+  }
+  if (depth > 8) return '[Truncated]';
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, insideAttributes, depth + 1));
+  }
+
+  const copy = {};
+  Object.entries(value).forEach(([key, fieldValue]) => {
+    if (config.redactFields.has(key.toLowerCase())) {
+      copy[key] = REDACTED;
+    } else {
+      const isAttributes = config.redactAttributes && ATTRIBUTE_KEYS.includes(key);
+      copy[key] = redact(fieldValue, insideAttributes || isAttributes, depth + 1);
+    }
+  });
+  return copy;
+}
+
+function write(level, component, message, fields = {}) {
+  if (LEVELS[level] < config.level) return;
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    component,
+    ...(getRequestId() && { requestId: getRequestId() }),
+    msg: message,
+    ...redact(fields)
+  };
+
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  if (config.format === 'pretty') {
+    const { time, level: _level, component: _component, requestId, msg, ...rest } = entry;
+    const extra = Object.keys(rest).length > 0 ? ` ${JSON.stringify(rest)}` : '';
+    stream.write(`${time} ${level.toUpperCase().padEnd(5)} [${component}]${requestId ? ` (${requestId})` : ''} ${msg}${extra}\n`);
+  } else {
+    stream.write(`${JSON.stringify(entry)}\n`);
+  }
+}
+
+/**
+ * Create a logger for one part of the app
+ * @param {string} component - Shown on every line, e.g. 'brazeService'
+ * @returns {Object} { trace, debug, info, warn, error, isLevelEnabled }
+ */
+function createLogger(component) {
+  const logger = { isLevelEnabled: level => LEVELS[level] >= config.level };
+  ['trace', 'debug', 'info', 'warn', 'error'].forEach(level => {
+    logger[level] = (message, fields) => write(level, component, message, fields);
+  });
+  return logger;
+}
+
+module.exports = {
+  createLogger,
+  requestContext,
+  getRequestId,
+  runInBackground,
+  redact
+};
@@ -0,0 +1,252 @@
+const crypto = require('crypto');
+const LruCache = require('./lruCache');
+const { createLogger } = require('./logger');
+const { readInteger } = require('./configValidator');
+
+const logger = createLogger('loopGuard');
+
+const TOKEN_PROPERTY = 'eppo_correlation_token';
+const TOKEN_HEADER = 'x-eppo-correlation-token';
+const MAX_RECENT_EVENTS = 100;
+
+/**
+ * Keeps the Braze -> webhook -> trigger cycle from looping.
+ *
+ * Every campaign/Canvas trigger carries a signed correlation token in its
+ * trigger (or Canvas entry) properties. When Braze calls back with that token
+ * the request is known to be caused by our own trigger and never triggers
+ * again. On top of that, triggers are de-duplicated per user and target
+ * within a window, and capped per user per period.
+ */
+class LoopGuardService {
+  constructor() {
+    this.secret = process.env.LOOP_GUARD_SECRET || process.env.WEBHOOK_SIGNING_SECRET;
+    if (!this.secret) {
+      // Tokens still work within this process, but not across restarts or instances
+      this.secret = crypto.randomBytes(32).toString('hex');
+      logger.warn('LOOP_GUARD_SECRET is not set: correlation tokens are only valid until the server restarts');
+    }
+    this.dedupWindowMs = readInteger('LOOP_GUARD_DEDUP_WINDOW_MS', 60 * 1000);
+    this.maxTriggersPerUser = readInteger('LOOP_GUARD_MAX_TRIGGERS_PER_USER', 10);
+    this.capWindowMs = readInteger('LOOP_GUARD_CAP_WINDOW_MS', 60 * 60 * 1000);
+    // Older tokens are ignored, so a token copied into a user profile or a
+    // long-lived Canvas cannot block that user's triggers forever
+    this.tokenMaxAgeMs = readInteger('LOOP_GUARD_TOKEN_MAX_AGE_MS', 24 * 60 * 60 * 1000, { min: 1 });
+    // Opt-in for Braze webhook templates that do not forward the token yet:
+    // recognise them by their fields instead
+    this.legacyDetection = process.env.LOOP_GUARD_LEGACY_DETECTION === 'true';
+    if (process.env.LOOP_GUARD_LEGACY_DETECTION === undefined) {
+      // It used to be on by default; deployments upgrading without setting it lose it silently otherwise
+      logger.warn('LOOP_GUARD_LEGACY_DETECTION is not set and now defaults to false: Braze webhooks that do not forward eppo_correlation_token can trigger again. Set it to true until your templates forward the token, or to false to silence this warning');
+    }
+
+    const maxUsers = readInteger('LOOP_GUARD_MAX_TRACKED_USERS', 10000, { min: 1 });
+    this.lastTriggers = new LruCache(maxUsers);
+    this.triggerHistory = new LruCache(maxUsers);
+    this.recentEvents = [];
+    this.metrics = {
+      allowed: 0,
+      callbacks: 0,
+      invalidTokens: 0,
+      expiredTokens: 0,
+      legacyCallbacks: 0,
+      deduplicated: 0,
+      capped: 0
+    };
+  }
+
+  /**
+   * Create the token sent with a trigger
+   * @param {Object} context - { userId, flagKey, targetId }
+   * @returns {string} payload.signature, both base64url
+   */
+  createToken({ userId, flagKey, targetId }) {
+    const payload = Buffer.from(JSON.stringify({
+      u: userId,
+      f: flagKey,
+      t: targetId,
+      iat: Date.now(),
+      n: crypto.randomBytes(6).toString('hex')
+    })).toString('base64url');
+    return `${payload}.${this.sign(payload)}`;
+  }
+
+  /**
+   * Trigger/entry properties carrying a fresh token
+   * @param {Object} context - { userId, flagKey, targetId }
+   * @returns {Object} { eppo_correlation_token }
+   */
+  tokenProperties(context) {
+    return { [TOKEN_PROPERTY]: this.createToken(context) };
+  }
+
+  sign(payload) {
+    return crypto.createHmac('sha256', this.secret).update(payload).digest('base64url');
+  }
+
+  /**
+   * Check a token's signature
+   * @param {string} token - The correlation token
+   * @returns {Object|null} The decoded payload, or null if the token is not ours
+   */
+  verifyToken(token) {
+    if (typeof token !== 'string' || !token.includes('.')) return null;
+
+    const [payload, signature] = token.split('.');
+    const expected = Buffer.from(this.sign(payload));
+    const received = Buffer.from(signature || '');
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Find the correlation token on a request, if any
+   */
+  extractToken(body = {}, headers = {}) {
+    const triggerProperties = body.trigger_properties || {};
+    return triggerProperties[TOKEN_PROPERTY] || body[TOKEN_PROPERTY] || headers[TOKEN_HEADER] || null;
+  }
+
+  isExpired(token) {
+    return !Number.isFinite(token.iat) || Date.now() - token.iat > this.tokenMaxAgeMs;
+  }
+
+  /**
+   * Work out where a request came from:
+   *   callback - carries a valid token, so it was caused by our own trigger
+   *   invalid  - carries a token we did not sign
+   *   braze    - a Braze webhook without a token (legacy detection, off by default)
+   *   internal - an in-process caller such as the demo /send-message route
+   *   external - anything else
+   * A signed token older than LOOP_GUARD_TOKEN_MAX_AGE_MS counts as no token.
+   * Only internal and external requests may trigger a campaign or Canvas.
+   * @param {Object} body - The request body
+   * @param {Object} options - { headers, internal }
+   * @returns {Object} { origin, token }
+   */
+  resolveOrigin(body = {}, { headers = {}, internal = false } = {}) {
+    const rawToken = this.extractToken(body, headers);
+
+    if (rawToken) {
+      const token = this.verifyToken(rawToken);
+      if (!token) {
+        return { origin: 'invalid', token: null };
+      }
+      if (!this.isExpired(token)) {
+        return { origin: 'callback', token };
+      }
+      this.metrics.expiredTokens++;
+      this.recordEvent('expired_token', {
+        userId: token.u,
+        flagKey: token.f,
+        targetId: token.t,
+        tokenIssuedAt: new Date(token.iat).toISOString()
+      });
+    }
+    if (internal) {
+      return { origin: 'internal', token: null };
+    }
+
+    const looksLikeBraze =
+      body.trigger_properties !== undefined ||
+      body.eppo_variant !== undefined ||
+      body.eppo_flagkey !== undefined ||
+      body.subject !== undefined;
+    if (this.legacyDetection && looksLikeBraze) {
+      return { origin: 'braze', token: null };
+    }
+
+    return { origin: 'external', token: null };
+  }
+
+  /**
+   * Only requests we did not cause ourselves may trigger
+   * @param {Object} context - { userId, flagKey, target, origin, token }
+   * @returns {Object} { allowed, reason }
+   */
+  checkOrigin({ userId, flagKey, target, origin, token }) {
+    if (origin === 'callback') {
+      this.metrics.callbacks++;
+      this.recordEvent('callback', { userId, flagKey, targetId: target.id, tokenTarget: token.t, tokenIssuedAt: token.iat });
+      return { allowed: false, reason: 'Request was caused by our own trigger (correlation token)' };
+    }
+    if (origin === 'invalid') {
+      this.metrics.invalidTokens++;
+      this.recordEvent('invalid_token', { userId, flagKey, targetId: target.id });
+      return { allowed: false, reason: 'Request carries an invalid correlation token' };
+    }
+    if (origin === 'braze') {
+      this.metrics.legacyCallbacks++;
+      this.recordEvent('legacy_callback', { userId, flagKey, targetId: target.id });
+      return { allowed: false, reason: 'Request looks like a Braze webhook without a correlation token (LOOP_GUARD_LEGACY_DETECTION)' };
+    }
+    return { allowed: true, reason: null };
+  }
+
+  /**
+   * Apply the de-duplication window and trigger cap, and count the trigger if
+   * it passes. Reserving up front means two concurrent requests cannot both
+   * pass the checks.
+   * @param {Object} context - { userId, flagKey, target }
+   * @returns {Object} { allowed, reason }
+   */
+  reserveTrigger({ userId, flagKey, target }) {
+    const now = Date.now();
+    const dedupKey = `${userId}:${target.type}:${target.id}`;
+    const lastTriggeredAt = this.lastTriggers.get(dedupKey);
+    if (lastTriggeredAt && now - lastTriggeredAt < this.dedupWindowMs) {
+      this.metrics.deduplicated++;
+      this.recordEvent('deduplicated', { userId, flagKey, targetId: target.id, lastTriggeredAt: new Date(lastTriggeredAt).toISOString() });
+      return { allowed: false, reason: `Already triggered ${target.type} ${target.id} for this user in the last ${this.dedupWindowMs}ms` };
+    }
+
+    const history = (this.triggerHistory.get(userId) || []).filter(time => now - time < this.capWindowMs);
+    if (history.length >= this.maxTriggersPerUser) {
+      this.triggerHistory.set(userId, history);
+      this.metrics.capped++;
+      this.recordEvent('capped', { userId, flagKey, targetId: target.id, triggersInWindow: history.length });
+      return { allowed: false, reason: `Trigger cap of ${this.maxTriggersPerUser} per ${this.capWindowMs}ms reached for this user` };
+    }
+
+    history.push(now);
+    this.triggerHistory.set(userId, history);
+    this.lastTriggers.set(dedupKey, now);
+    this.metrics.allowed++;
+    return { allowed: true, reason: null };
+  }
+
+  recordEvent(type, details) {
+    const event = { type, ...details, timestamp: new Date().toISOString() };
+    logger.warn('Loop guard event', event);
+
+    this.recentEvents.push(event);
+    if (this.recentEvents.length > MAX_RECENT_EVENTS) {
+      this.recentEvents.shift();
+    }
+  }
+
+  getRecentEvents() {
+    return [...this.recentEvents].reverse();
+  }
+
+  getStats() {
+    return {
+      ...this.metrics,
+      dedupWindowMs: this.dedupWindowMs,
+      maxTriggersPerUser: this.maxTriggersPerUser,
+      capWindowMs: this.capWindowMs,
+      tokenMaxAgeMs: this.tokenMaxAgeMs,
+      legacyDetection: this.legacyDetection,
+      trackedUsers: this.triggerHistory.size
+    };
+  }
+}
+
+module.exports = new LoopGuardService();
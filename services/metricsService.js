@@ -0,0 +1,137 @@
+const client = require('prom-client');
+
+// Upstream calls range from cached lookups (~ms) to retried Braze triggers (seconds)
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+/**
+ * Prometheus metrics served at /metrics. Services record through the methods
+ * below rather than touching prom-client directly, so label names stay in
+ * one place.
+ */
+class MetricsService {
+  constructor() {
+    this.registry = new client.Registry();
+    if (process.env.METRICS_DEFAULT_METRICS !== 'false') {
+      client.collectDefaultMetrics({ register: this.registry });
+    }
+
+    const registers = [this.registry];
+
+    this.assignments = new client.Counter({
+      name: 'eppo_assignments_total',
+      help: 'Assignments logged by the Eppo SDK, by flag and variation',
+      labelNames: ['flag', 'variation', 'source'],
+      registers
+    });
+    this.assignmentDuration = new client.Histogram({
+      name: 'eppo_assignment_duration_seconds',
+      help: 'Time to evaluate an Eppo assignment',
+      labelNames: ['flag'],
+      buckets: [0.0001, 0.0005, 0.001, 0.005, 0.01, 0.05, 0.1],
+      registers
+    });
+    this.httpRequests = new client.Counter({
+      name: 'http_requests_total',
+      help: 'HTTP requests handled, by route and status',
+      labelNames: ['method', 'route', 'status'],
+      registers
+    });
+    this.httpDuration = new client.Histogram({
+      name: 'http_request_duration_seconds',
+      help: 'Time to handle an HTTP request',
+      labelNames: ['method', 'route'],
+      buckets: LATENCY_BUCKETS,
+      registers
+    });
+    this.brazeRequests = new client.Counter({
+      name: 'braze_requests_total',
+      help: 'Braze API calls (each retry counts), by endpoint and status',
+      labelNames: ['endpoint', 'status'],
+      registers
+    });
+    this.brazeDuration = new client.Histogram({
+      name: 'braze_request_duration_seconds',
+      help: 'Latency of a single Braze API call',
+      labelNames: ['endpoint'],
+      buckets: LATENCY_BUCKETS,
+      registers
+    });
+    this.hightouchLookups = new client.Counter({
+      name: 'hightouch_lookups_total',
+      help: 'Hightouch audience lookups by result: hit, stale_hit, negative_hit, miss',
+      labelNames: ['result'],
+      registers
+    });
+    this.hightouchRequests = new client.Counter({
+      name: 'hightouch_requests_total',
+      help: 'Hightouch API calls by status: 200, 404 or error',
+      labelNames: ['status'],
+      registers
+    });
+    this.hightouchDuration = new client.Histogram({
+      name: 'hightouch_request_duration_seconds',
+      help: 'Latency of a single Hightouch API call',
+      buckets: LATENCY_BUCKETS,
+      registers
+    });
+    this.deliveries = new client.Counter({
+      name: 'deliveries_total',
+      help: 'Campaign and Canvas delivery decisions by flag, type and status',
+      labelNames: ['flag', 'type', 'status'],
+      registers
+    });
+  }
+
+  recordAssignment(flagKey, variation, source) {
+    this.assignments.inc({ flag: flagKey || 'unknown', variation: String(variation ?? 'none'), source: source || 'unknown' });
+  }
+
+  /**
+   * Start timing an assignment evaluation
+   * @returns {Function} Call when the evaluation finishes
+   */
+  startAssignmentTimer(flagKey) {
+    return this.assignmentDuration.startTimer({ flag: flagKey });
+  }
+
+  recordHttpRequest({ method, route, status, durationSeconds }) {
+    this.httpRequests.inc({ method, route, status: String(status) });
+    this.httpDuration.observe({ method, route }, durationSeconds);
+  }
+
+  /**
+   * @param {string} endpoint - Braze path such as '/users/track'
+   * @param {number|string} status - HTTP status, or the network error code
+   * @param {number} durationSeconds - Time the call took
+   */
+  recordBrazeRequest(endpoint, status, durationSeconds) {
+    this.brazeRequests.inc({ endpoint, status: String(status) });
+    this.brazeDuration.observe({ endpoint }, durationSeconds);
+  }
+
+  recordHightouchLookup(result) {
+    this.hightouchLookups.inc({ result });
+  }
+
+  recordHightouchRequest(status, durationSeconds) {
+    this.hightouchRequests.inc({ status: String(status) });
+    this.hightouchDuration.observe(durationSeconds);
+  }
+
+  recordDelivery(flagKey, { type, status }, count = 1) {
+    this.deliveries.inc({ flag: flagKey, type: type || 'none', status }, count);
+  }
+
+  get contentType() {
+    return this.registry.contentType;
+  }
+
+  /**
+   * @returns {Promise<string>} All metrics in the Prometheus text format
+   */
+  render() {
+    return this.registry.metrics();
+  }
+}
+
+module.exports = new MetricsService();
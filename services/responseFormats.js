@@ -0,0 +1,129 @@
+/**
+ * Shapes the webhook routes can return a rendered message in. Each format has:
+ *   mediaType          - the Accept value that selects it
+ *   contentType        - the Content-Type it is served with
+ *   render(result)     - builds the body from a processWebhookAndSendMessage result
+ */
+
+const escapeHtml = value => String(value).replace(/[&<>"']/g, char => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+})[char]);
+
+// { cta: { text } } becomes { cta_text }, so Liquid can read every value as {{response.cta_text}}
+function flatten(value, prefix = '', flat = {}) {
+  if (value !== null && typeof value === 'object') {
+    Object.entries(value).forEach(([key, nested]) => flatten(nested, prefix ? `${prefix}_${key}` : key, flat));
+  } else if (prefix) {
+    flat[prefix] = value;
+  }
+  return flat;
+}
+
+const FORMATS = {
+  // The rendered template as it is, the original response
+  json: {
+    mediaType: 'application/json',
+    contentType: 'application/json; charset=utf-8',
+    render: result => JSON.stringify(result.messagePreview || {})
+  },
+
+  // One level of string values plus the experiment context, for Connected Content and Liquid
+  flat: {
+    mediaType: 'application/vnd.eppo-braze.flat+json',
+    contentType: 'application/json; charset=utf-8',
+    render: result => JSON.stringify({
+      ...flatten(result.messagePreview || {}),
+      eppo_flag_key: result.flagKey,
+      eppo_variation: result.eppoAssignment ?? null,
+      eppo_template_source: result.templateSource || null
+    })
+  },
+
+  html: {
+    mediaType: 'text/html',
+    contentType: 'text/html; charset=utf-8',
+    render: ({ messagePreview = {}, flagKey, eppoAssignment }) => [
+      `<div class="eppo-message" data-flag-key="${escapeHtml(flagKey)}" data-variation="${escapeHtml(eppoAssignment ?? '')}">`,
+      messagePreview.subject ? `  <h2 class="eppo-message__subject">${escapeHtml(messagePreview.subject)}</h2>` : null,
+      messagePreview.body ? `  <p class="eppo-message__body">${escapeHtml(messagePreview.body).replace(/\n/g, '<br>')}</p>` : null,
+      messagePreview.cta
+        ? `  <a class="eppo-message__cta" href="${escapeHtml(messagePreview.cta.url)}">${escapeHtml(messagePreview.cta.text)}</a>`
+        : null,
+      '</div>'
+    ].filter(line => line !== null).join('\n')
+  },
+
+  text: {
+    mediaType: 'text/plain',
+    contentType: 'text/plain; charset=utf-8',
+    render: ({ messagePreview = {} }) => [
+      messagePreview.subject,
+      messagePreview.body,
+      messagePreview.cta ? `${messagePreview.cta.text}: ${messagePreview.cta.url}` : null
+    ].filter(Boolean).join('\n\n')
+  },
+
+  // The fields of a Braze Content Card, for in-app templates that render cards
+  content_card: {
+    mediaType: 'application/vnd.braze.content-card+json',
+    contentType: 'application/json; charset=utf-8',
+    render: ({ messagePreview = {}, flagKey, eppoAssignment }) => {
+      const imageUrl = messagePreview.image_url || messagePreview.imageUrl || null;
+      return JSON.stringify({
+        type: imageUrl ? 'CAPTIONED_IMAGE' : 'CLASSIC',
+        title: messagePreview.subject || '',
+        description: messagePreview.body || '',
+        ...(imageUrl && { image_url: imageUrl }),
+        ...(messagePreview.cta && { url: messagePreview.cta.url, link_text: messagePreview.cta.text }),
+        pinned: false,
+        dismissible: true,
+        extras: {
+          eppo_flag_key: flagKey,
+          eppo_variation: eppoAssignment ?? null,
+          ...(messagePreview.message_variation_id && { message_variation_id: messagePreview.message_variation_id })
+        }
+      });
+    }
+  }
+};
+
+function getFormatNames() {
+  return Object.keys(FORMATS);
+}
+
+/**
+ * Pick the response format: the `format` query parameter wins, then the
+ * Accept header. Anything else, including a missing or wildcard Accept, gets json.
+ * @param {Object} req - Express request
+ * @returns {Object} { format, negotiated } where negotiated is true when Accept decided it,
+ *   or { error } for an unknown format parameter
+ */
+function negotiateFormat(req) {
+  const requested = req.query.format;
+  if (requested !== undefined) {
+    return FORMATS[requested]
+      ? { format: requested, negotiated: false }
+      : { error: `format must be one of ${getFormatNames().join(', ')}` };
+  }
+
+  const names = getFormatNames();
+  const accepted = req.accepts(names.map(name => FORMATS[name].mediaType));
+  const format = accepted ? names.find(name => FORMATS[name].mediaType === accepted) : 'json';
+  return { format, negotiated: true };
+}
+
+/**
+ * @param {Object} result - A processWebhookAndSendMessage result
+ * @param {string} format - A format name
+ * @returns {Object} { contentType, body }
+ */
+function renderResponse(result, format) {
+  const { contentType, render } = FORMATS[format];
+  return { contentType, body: render(result) };
+}
+
+module.exports = {
+  getFormatNames,
+  negotiateFormat,
+  renderResponse
+};
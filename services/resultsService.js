@@ -0,0 +1,162 @@
+const assignmentLogService = require('./assignmentLogService');
+const conversionLogService = require('./conversionLogService');
+
+// Two-sided critical values for the supported confidence levels
+const Z_SCORES = { 0.8: 1.2816, 0.9: 1.6449, 0.95: 1.96, 0.99: 2.5758 };
+const MIN_USERS_PER_VARIATION = 100;
+
+// Standard normal CDF (Abramowitz and Stegun 7.1.26, error below 1.5e-7)
+function normalCdf(x) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-(x * x) / 2);
+  return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// Wilson score interval: stays inside [0, 1] and behaves with few conversions
+function wilsonInterval(conversions, users, z) {
+  if (users === 0) return null;
+  const p = conversions / users;
+  const denominator = 1 + (z * z) / users;
+  const center = (p + (z * z) / (2 * users)) / denominator;
+  const margin = (z * Math.sqrt((p * (1 - p)) / users + (z * z) / (4 * users * users))) / denominator;
+  return { lower: round(Math.max(0, center - margin)), upper: round(Math.min(1, center + margin)) };
+}
+
+/**
+ * Two-proportion z-test of a variation against the baseline: pooled standard
+ * error for the p-value, unpooled for the interval on the difference
+ */
+function compareToBaseline(variation, baseline, z, alpha) {
+  if (variation.users === 0 || baseline.users === 0) return null;
+
+  const p1 = variation.conversions / variation.users;
+  const p0 = baseline.conversions / baseline.users;
+  const difference = p1 - p0;
+  const pooled = (variation.conversions + baseline.conversions) / (variation.users + baseline.users);
+  const pooledSe = Math.sqrt(pooled * (1 - pooled) * (1 / variation.users + 1 / baseline.users));
+  const unpooledSe = Math.sqrt((p1 * (1 - p1)) / variation.users + (p0 * (1 - p0)) / baseline.users);
+  const zScore = pooledSe > 0 ? difference / pooledSe : null;
+  const pValue = zScore === null ? null : 2 * (1 - normalCdf(Math.abs(zScore)));
+
+  return {
+    baseline: baseline.variation,
+    difference: round(difference),
+    differenceInterval: { lower: round(difference - z * unpooledSe), upper: round(difference + z * unpooledSe) },
+    relativeLift: p0 > 0 ? round(difference / p0) : null,
+    zScore: zScore === null ? null : round(zScore),
+    pValue: pValue === null ? null : round(pValue),
+    significant: pValue !== null && pValue < alpha
+  };
+}
+
+function round(value) {
+  return Number(value.toFixed(6));
+}
+
+/**
+ * Experiment results from the exposure and conversion logs. Each user counts
+ * once, in the variation of their first exposure, and converts if they tracked
+ * a matching event at or after that exposure.
+ */
+class ResultsService {
+  getSupportedConfidenceLevels() {
+    return Object.keys(Z_SCORES).map(Number);
+  }
+
+  /**
+   * @param {Object} options - { flagKey, eventName, from, to, baseline, confidence }
+   * @returns {Promise<Object>} Per-variation users, conversions, rates, intervals and comparisons
+   */
+  async getResults({ flagKey, eventName = null, from, to, baseline = null, confidence = 0.95 }) {
+    const z = Z_SCORES[confidence];
+    if (!z) {
+      throw new Error(`confidence must be one of ${this.getSupportedConfidenceLevels().join(', ')}`);
+    }
+
+    const [assignments, conversions] = await Promise.all([
+      assignmentLogService.queryAssignments({ flagKey, from, to }),
+      conversionLogService.queryConversions({ flagKey, from, to })
+    ]);
+
+    // First exposure per user, in log order (oldest first)
+    const firstExposures = new Map();
+    assignments.forEach(record => {
+      if (record.variation === null || record.variation === undefined) return;
+      if (!firstExposures.has(record.subject)) {
+        firstExposures.set(record.subject, record);
+      }
+    });
+
+    const variations = new Map();
+    const getVariation = name => {
+      if (!variations.has(name)) {
+        variations.set(name, { variation: name, users: 0, conversions: 0, events: 0 });
+      }
+      return variations.get(name);
+    };
+    firstExposures.forEach(exposure => {
+      getVariation(String(exposure.variation)).users++;
+    });
+
+    const eventNames = new Set();
+    const convertedUsers = new Set();
+    let unattributedEvents = 0;
+    conversions.forEach(record => {
+      eventNames.add(record.eventName);
+      if (eventName && record.eventName !== eventName) return;
+
+      const exposure = firstExposures.get(record.subject);
+      if (!exposure || Date.parse(record.timestamp) < Date.parse(exposure.timestamp)) {
+        unattributedEvents++;
+        return;
+      }
+
+      const stats = getVariation(String(exposure.variation));
+      stats.events++;
+      if (!convertedUsers.has(record.subject)) {
+        convertedUsers.add(record.subject);
+        stats.conversions++;
+      }
+    });
+
+    const rows = Array.from(variations.values()).sort((a, b) => a.variation.localeCompare(b.variation));
+    const baselineRow = rows.find(row => row.variation === baseline) ||
+      rows.find(row => row.variation === 'control') ||
+      rows.slice().sort((a, b) => b.users - a.users)[0] ||
+      null;
+
+    const warnings = [];
+    if (baseline && baselineRow && baselineRow.variation !== baseline) {
+      warnings.push(`Baseline "${baseline}" has no exposures, comparing against "${baselineRow.variation}"`);
+    }
+    rows.filter(row => row.users < MIN_USERS_PER_VARIATION).forEach(row => {
+      warnings.push(`"${row.variation}" has fewer than ${MIN_USERS_PER_VARIATION} users, results are not reliable yet`);
+    });
+
+    return {
+      flagKey,
+      eventName,
+      eventNames: Array.from(eventNames).sort(),
+      from: from || null,
+      to: to || null,
+      confidence,
+      baseline: baselineRow ? baselineRow.variation : null,
+      totals: {
+        users: firstExposures.size,
+        convertedUsers: convertedUsers.size,
+        conversionEvents: rows.reduce((sum, row) => sum + row.events, 0),
+        unattributedEvents
+      },
+      variations: rows.map(row => ({
+        ...row,
+        conversionRate: row.users > 0 ? round(row.conversions / row.users) : null,
+        confidenceInterval: wilsonInterval(row.conversions, row.users, z),
+        comparison: baselineRow && row !== baselineRow ? compareToBaseline(row, baselineRow, z, 1 - confidence) : null
+      })),
+      warnings
+    };
+  }
+}
+
+module.exports = new ResultsService();
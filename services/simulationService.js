@@ -0,0 +1,200 @@
+const eppoService = require('./eppoService');
+const enrichmentService = require('./enrichmentService');
+const subjectService = require('./subjectService');
+
+// Matches the options in the demo form; audiences are independent membership rates
+const DEFAULT_DISTRIBUTIONS = {
+  country: { US: 0.5, CA: 0.2, UK: 0.2, AU: 0.1 },
+  subscription_tier: { premium: 0.2, basic: 0.5, free: 0.3 },
+  audiences: { premium_subscriber: 0.2, high_value_customer: 0.1, at_risk_churn: 0.15 }
+};
+const UNASSIGNED = '(unassigned)';
+const MAX_SAMPLES = 10;
+// Users evaluated between yields to the event loop
+const DEFAULT_CHUNK_SIZE = 200;
+
+// mulberry32: small seeded PRNG so a simulation can be repeated exactly
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function pickWeighted(weights, random) {
+  const entries = Object.entries(weights);
+  const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+  let roll = random() * total;
+  for (const [value, weight] of entries) {
+    roll -= weight;
+    if (roll < 0) return value;
+  }
+  return entries[entries.length - 1][0];
+}
+
+function share(count, total) {
+  return total > 0 ? Number((count / total).toFixed(4)) : 0;
+}
+
+/**
+ * Runs a synthetic population through enrichment and Eppo to preview how
+ * targeting rules and splits divide it, before an experiment launches.
+ * Nothing is logged as an exposure, no provider is called and nothing is
+ * sent to Braze.
+ */
+class SimulationService {
+  constructor() {
+    this.maxUsers = parseInt(process.env.SIMULATION_MAX_USERS, 10) || 10000;
+    this.chunkSize = parseInt(process.env.SIMULATION_CHUNK_SIZE, 10) || DEFAULT_CHUNK_SIZE;
+  }
+
+  getDefaultDistributions() {
+    return DEFAULT_DISTRIBUTIONS;
+  }
+
+  /**
+   * Check a distributions object
+   * @returns {Array<string>} Error messages, empty when valid
+   */
+  validateDistributions(distributions) {
+    if (!distributions || typeof distributions !== 'object' || Array.isArray(distributions)) {
+      return ['distributions must be an object keyed by attribute'];
+    }
+
+    const errors = [];
+    Object.entries(distributions).forEach(([attribute, weights]) => {
+      if (!weights || typeof weights !== 'object' || Array.isArray(weights) || Object.keys(weights).length === 0) {
+        errors.push(`distributions.${attribute} must be a non-empty object`);
+        return;
+      }
+      Object.entries(weights).forEach(([value, weight]) => {
+        if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+          errors.push(`distributions.${attribute}.${value} must be a non-negative number`);
+        } else if (attribute === 'audiences' && weight > 1) {
+          errors.push(`distributions.audiences.${value} is a membership rate and must be between 0 and 1`);
+        }
+      });
+      if (attribute !== 'audiences' && Object.values(weights).every(weight => weight === 0)) {
+        errors.push(`distributions.${attribute} needs at least one positive weight`);
+      }
+    });
+    return errors;
+  }
+
+  /**
+   * Generate one synthetic user
+   * @returns {Object} { requestAttributes, audiences }
+   */
+  generateUser(distributions, random) {
+    const requestAttributes = {};
+    const audiences = {};
+
+    Object.entries(distributions).forEach(([attribute, weights]) => {
+      if (attribute === 'audiences') {
+        Object.entries(weights).forEach(([audience, rate]) => {
+          audiences[audience] = random() < rate;
+        });
+      } else {
+        requestAttributes[attribute] = pickWeighted(weights, random);
+      }
+    });
+
+    return { requestAttributes, audiences };
+  }
+
+  /**
+   * @param {Object} options - { experiment, count, distributions, seed }
+   * @returns {Promise<Object>} Variation counts and shares overall and per segment
+   */
+  async simulate({ experiment, count, distributions = DEFAULT_DISTRIBUTIONS, seed = Date.now() }) {
+    const random = createRandom(seed);
+    const flagKey = experiment.flagKey;
+    // Synthetic users carry the experiment's first subject key, as a webhook request would
+    const [subjectKey] = subjectService.getSubjectKeys(experiment);
+    const overall = {};
+    const segments = {};
+    const samples = [];
+
+    const countIn = (bucket, variation) => {
+      bucket[variation] = (bucket[variation] || 0) + 1;
+    };
+    const segmentBucket = (attribute, value) => {
+      segments[attribute] = segments[attribute] || {};
+      segments[attribute][value] = segments[attribute][value] || { users: 0, variations: {} };
+      return segments[attribute][value];
+    };
+
+    for (let index = 0; index < count; index++) {
+      // Let webhook traffic through between chunks
+      if (index > 0 && index % this.chunkSize === 0) {
+        await new Promise(resolve => setImmediate(resolve));
+      }
+
+      const { subject } = subjectService.resolve({ [subjectKey]: `sim-${seed}-${index}` }, experiment);
+      const userId = subject.id;
+      const { requestAttributes, audiences } = this.generateUser(distributions, random);
+
+      // Providers that can synthesize data return the audiences in their own shape
+      const attributes = await enrichmentService.getEnrichedUserAttributes(userId, requestAttributes, {
+        providerData: enrichmentService.synthesizeProviderData({ audiences })
+      });
+      const { assignment, error } = eppoService.getAssignment(flagKey, userId, attributes, {
+        valueType: experiment.valueType,
+        source: '/simulate',
+        logExposure: false
+      });
+      if (error) {
+        throw new Error(`Assignment failed: ${error}`);
+      }
+
+      const variation = assignment === null || assignment === undefined ? UNASSIGNED : String(assignment);
+      countIn(overall, variation);
+
+      Object.entries(requestAttributes).forEach(([attribute, value]) => {
+        const bucket = segmentBucket(attribute, value);
+        bucket.users++;
+        countIn(bucket.variations, variation);
+      });
+      Object.entries(audiences).forEach(([audience, member]) => {
+        const bucket = segmentBucket(`audience:${audience}`, member ? 'member' : 'not_member');
+        bucket.users++;
+        countIn(bucket.variations, variation);
+      });
+
+      if (samples.length < MAX_SAMPLES) {
+        samples.push({ userId, subject, requestAttributes, audiences, attributes, variation });
+      }
+    }
+
+    const withShares = (counts, total) => Object.fromEntries(
+      Object.entries(counts)
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([variation, users]) => [variation, { users, share: share(users, total) }])
+    );
+
+    return {
+      flagKey,
+      count,
+      seed,
+      distributions,
+      variations: withShares(overall, count),
+      segments: Object.fromEntries(Object.entries(segments).map(([attribute, values]) => [
+        attribute,
+        Object.fromEntries(Object.entries(values)
+          .sort(([a], [b]) => a.localeCompare(b))
+          .map(([value, bucket]) => [value, {
+            users: bucket.users,
+            share: share(bucket.users, count),
+            variations: withShares(bucket.variations, bucket.users)
+          }]))
+      ])),
+      samples
+    };
+  }
+}
+
+module.exports = new SimulationService();
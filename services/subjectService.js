@@ -0,0 +1,104 @@
+// Identifiers a request can carry. `fields` are the body keys each is read
+// from, in order; `braze` is how Braze addresses a user by it. Any other key
+// name is read from the field of the same name and is a Braze user alias
+// labelled with that name.
+const IDENTIFIER_TYPES = {
+  external_id: {
+    fields: ['user_id', 'external_user_id', 'userId', 'external_id', 'subject'], // Braze passes {{external_user_id}} as subject
+    braze: 'external_id'
+  },
+  braze_id: { fields: ['braze_id', 'brazeId'], braze: 'braze_id' },
+  email: { fields: ['email'], braze: 'user_alias' },
+  account_id: { fields: ['account_id', 'accountId'], braze: 'user_alias' },
+  device_id: { fields: ['device_id', 'deviceId'], braze: 'user_alias' }
+};
+const MISSING_SUBJECT_ACTIONS = ['reject', 'default'];
+
+function parseKeyList(value, fallback) {
+  const keys = (value || '').split(',').map(key => key.trim()).filter(Boolean);
+  return keys.length > 0 ? keys : fallback;
+}
+
+/**
+ * Works out who a request is about. The subject is what Eppo assigns (a user,
+ * an account, a device...) and comes from the first of the experiment's
+ * subject keys present in the request. The Braze identity is who gets
+ * messaged or tracked, and may be a different identifier on the same request.
+ */
+class SubjectService {
+  constructor() {
+    this.subjectKeys = parseKeyList(process.env.SUBJECT_KEYS, ['external_id']);
+    this.brazeIdentifierKeys = parseKeyList(process.env.BRAZE_IDENTIFIER_KEYS, ['external_id', 'braze_id', 'email']);
+    this.missingSubjectAction = MISSING_SUBJECT_ACTIONS.includes(process.env.MISSING_SUBJECT_ACTION)
+      ? process.env.MISSING_SUBJECT_ACTION
+      : 'reject';
+  }
+
+  // An experiment's subjectKeys override SUBJECT_KEYS
+  getSubjectKeys(experiment = {}) {
+    return experiment.subjectKeys || this.subjectKeys;
+  }
+
+  getFields(key) {
+    return IDENTIFIER_TYPES[key] ? IDENTIFIER_TYPES[key].fields : [key];
+  }
+
+  /**
+   * Read one identifier from a request body
+   * @returns {string|null} The trimmed value, or null when absent or empty
+   */
+  readIdentifier(data, key) {
+    for (const field of this.getFields(key)) {
+      const value = data[field];
+      if ((typeof value === 'string' || typeof value === 'number') && String(value).trim() !== '') {
+        return String(value).trim();
+      }
+    }
+    return null;
+  }
+
+  /**
+   * The Braze identity for one identifier: { type: 'external_id' | 'braze_id' | 'user_alias', id, aliasLabel }
+   */
+  toBrazeIdentity(key, id) {
+    const type = IDENTIFIER_TYPES[key] ? IDENTIFIER_TYPES[key].braze : 'user_alias';
+    return type === 'user_alias' ? { type, id, aliasLabel: key } : { type, id };
+  }
+
+  /**
+   * @param {Object} data - Request body
+   * @param {Object} experiment - The registered experiment the request is for
+   * @returns {Object} { subject: { key, id } | null, identifiers, brazeIdentities }
+   */
+  resolve(data, experiment = {}) {
+    const body = data && typeof data === 'object' ? data : {};
+    const subjectKeys = this.getSubjectKeys(experiment);
+    const identifiers = {};
+
+    [...subjectKeys, ...this.brazeIdentifierKeys].forEach(key => {
+      if (identifiers[key] !== undefined) return;
+      const id = this.readIdentifier(body, key);
+      if (id !== null) identifiers[key] = id;
+    });
+
+    const subjectKey = subjectKeys.find(key => identifiers[key] !== undefined);
+    return {
+      subject: subjectKey ? { key: subjectKey, id: identifiers[subjectKey] } : null,
+      identifiers,
+      // In BRAZE_IDENTIFIER_KEYS order; Braze calls use the first one they accept
+      brazeIdentities: this.brazeIdentifierKeys
+        .filter(key => identifiers[key] !== undefined)
+        .map(key => this.toBrazeIdentity(key, identifiers[key]))
+    };
+  }
+
+  /**
+   * Body fields that carry the given identifiers, for error messages
+   * @returns {string} e.g. "user_id / external_user_id / ..., email"
+   */
+  describeKeys(keys) {
+    return keys.map(key => this.getFields(key).join(' / ')).join(', ');
+  }
+}
+
+module.exports = new SubjectService();
@@ -0,0 +1,244 @@
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+const yaml = require('js-yaml');
+
+const logger = createLogger('templates');
+
+const DEFAULT_CATALOG_PATH = path.join(__dirname, '..', 'config', 'templates.json');
+
+// Used when the catalog itself does not define a defaultTemplate
+const BUILT_IN_DEFAULT_TEMPLATE = {
+  type: 'DEFAULT',
+  subject: '👋 Hello from our integration!',
+  body: 'This is a default message for users not in the experiment.',
+  message_variation_id: 'default_variation'
+};
+
+// Shape a message must have to be returned to Braze as a messagePreview
+const MESSAGE_SCHEMA = {
+  subject: { type: 'string', required: true },
+  body: { type: 'string', required: true },
+  type: { type: 'string' },
+  message_variation_id: { type: 'string' },
+  cta: {
+    type: 'object',
+    properties: {
+      text: { type: 'string', required: true },
+      url: { type: 'string', required: true }
+    }
+  }
+};
+
+// Matches {{ path }} and {{ path | default: 'fallback' }}
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w.]+)\s*(?:\|\s*default:\s*(?:"([^"]*)"|'([^']*)'|([^\s}]+)))?\s*\}\}/g;
+
+class TemplateService {
+  constructor() {
+    this.catalogPath = process.env.MESSAGE_TEMPLATES_PATH || DEFAULT_CATALOG_PATH;
+    this.catalog = { defaultTemplate: BUILT_IN_DEFAULT_TEMPLATE, flags: {} };
+    this.loadedAt = null;
+    this.watching = false;
+  }
+
+  /**
+   * Load the template catalog from disk. A catalog that fails to parse or
+   * validate is rejected and the previously loaded catalog stays in use.
+   * @returns {Object} Summary of the loaded catalog
+   */
+  loadTemplates() {
+    if (!fs.existsSync(this.catalogPath)) {
+      logger.warn('No template catalog found, using built-in default template', { path: this.catalogPath });
+      return this.getSummary();
+    }
+
+    let catalog;
+    try {
+      const raw = fs.readFileSync(this.catalogPath, 'utf8');
+      catalog = /\.ya?ml$/i.test(this.catalogPath) ? yaml.load(raw) : JSON.parse(raw);
+    } catch (error) {
+      throw new Error(`Failed to parse template catalog at ${this.catalogPath}: ${error.message}`);
+    }
+
+    const errors = this.validateCatalog(catalog);
+    if (errors.length > 0) {
+      throw new Error(`Invalid template catalog (${this.catalogPath}):\n  - ${errors.join('\n  - ')}`);
+    }
+
+    this.catalog = {
+      defaultTemplate: catalog.defaultTemplate || BUILT_IN_DEFAULT_TEMPLATE,
+      flags: catalog.flags || {}
+    };
+    this.loadedAt = new Date().toISOString();
+
+    logger.info('Loaded message templates', { flags: Object.keys(this.catalog.flags).length, path: this.catalogPath });
+    return this.getSummary();
+  }
+
+  validateCatalog(catalog) {
+    const errors = [];
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+    if (!isObject(catalog)) {
+      return ['catalog must be an object'];
+    }
+    if (catalog.defaultTemplate !== undefined && !isObject(catalog.defaultTemplate)) {
+      errors.push('"defaultTemplate" must be an object');
+    }
+    if (catalog.flags !== undefined && !isObject(catalog.flags)) {
+      errors.push('"flags" must be an object keyed by flag key');
+      return errors;
+    }
+
+    Object.entries(catalog.flags || {}).forEach(([flagKey, flagTemplates]) => {
+      if (!isObject(flagTemplates)) {
+        errors.push(`flags.${flagKey} must be an object`);
+        return;
+      }
+      if (flagTemplates.default !== undefined && !isObject(flagTemplates.default)) {
+        errors.push(`flags.${flagKey}.default must be an object`);
+      }
+      Object.entries(flagTemplates.variations || {}).forEach(([variation, template]) => {
+        if (!isObject(template)) {
+          errors.push(`flags.${flagKey}.variations.${variation} must be an object`);
+        }
+      });
+    });
+
+    return errors;
+  }
+
+  /**
+   * Reload templates whenever the catalog file changes on disk
+   */
+  watchTemplates() {
+    if (this.watching) return;
+    this.watching = true;
+
+    fs.watchFile(this.catalogPath, { interval: 2000 }, (current, previous) => {
+      if (current.mtimeMs === previous.mtimeMs) return;
+      try {
+        this.loadTemplates();
+      } catch (error) {
+        logger.error('Template catalog reload failed, keeping previous catalog', { err: error });
+      }
+    }).unref();
+  }
+
+  /**
+   * Find the template for a flag variation, falling back to the flag's
+   * default and then the catalog's default template
+   * @param {string} flagKey - The Eppo flag key
+   * @param {string} variation - The assigned variation
+   * @returns {Object} { template, source }
+   */
+  getTemplate(flagKey, variation) {
+    const flagTemplates = this.catalog.flags[flagKey] || {};
+    const variations = flagTemplates.variations || {};
+
+    if (variation !== null && variation !== undefined && variations[variation]) {
+      return { template: variations[variation], source: 'variation' };
+    }
+    if (flagTemplates.default) {
+      return { template: flagTemplates.default, source: 'flag_default' };
+    }
+    return { template: this.catalog.defaultTemplate, source: 'default' };
+  }
+
+  /**
+   * Build the message preview for a flag variation with placeholders filled in
+   * @param {string} flagKey - The Eppo flag key
+   * @param {string} variation - The assigned variation
+   * @param {Object} context - Values available to placeholders (user attributes etc.)
+   * @returns {Object} { messagePreview, templateSource }
+   */
+  renderMessage(flagKey, variation, context = {}) {
+    const { template, source } = this.getTemplate(flagKey, variation);
+    return {
+      messagePreview: this.renderValue(template, context),
+      templateSource: source
+    };
+  }
+
+  renderValue(value, context) {
+    if (typeof value === 'string') {
+      return value.replace(PLACEHOLDER_PATTERN, (match, keyPath, doubleQuoted, singleQuoted, bare) => {
+        const resolved = this.lookup(context, keyPath);
+        if (resolved !== undefined && resolved !== null && resolved !== '') {
+          return String(resolved);
+        }
+        const fallback = doubleQuoted ?? singleQuoted ?? bare;
+        return fallback !== undefined ? fallback : '';
+      });
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.renderValue(item, context));
+    }
+    if (value !== null && typeof value === 'object') {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, nested]) => [key, this.renderValue(nested, context)])
+      );
+    }
+    return value;
+  }
+
+  /**
+   * Check a message (e.g. a JSON flag variation) against MESSAGE_SCHEMA.
+   * Keys outside the schema are allowed as long as they are flat values.
+   * @param {Object} message - The candidate messagePreview
+   * @returns {Array<string>} Validation errors, empty when valid
+   */
+  validateMessage(message, schema = MESSAGE_SCHEMA, prefix = '') {
+    if (message === null || typeof message !== 'object' || Array.isArray(message)) {
+      return [`${prefix || 'message'} must be an object`];
+    }
+
+    const errors = [];
+
+    Object.entries(schema).forEach(([key, rule]) => {
+      const value = message[key];
+      const label = `${prefix}${key}`;
+
+      if (value === undefined || value === null) {
+        if (rule.required) errors.push(`${label} is required`);
+        return;
+      }
+      if (rule.type === 'object') {
+        errors.push(...this.validateMessage(value, rule.properties, `${label}.`));
+      } else if (typeof value !== rule.type) {
+        errors.push(`${label} must be a ${rule.type}`);
+      }
+    });
+
+    Object.entries(message).forEach(([key, value]) => {
+      if (!schema[key] && value !== null && typeof value === 'object') {
+        errors.push(`${prefix}${key} must be a string, number or boolean`);
+      }
+    });
+
+    return errors;
+  }
+
+  lookup(context, keyPath) {
+    return keyPath.split('.').reduce(
+      (current, key) => (current !== null && current !== undefined ? current[key] : undefined),
+      context
+    );
+  }
+
+  getSummary() {
+    return {
+      catalogPath: this.catalogPath,
+      loadedAt: this.loadedAt,
+      watching: this.watching,
+      flags: Object.fromEntries(
+        Object.entries(this.catalog.flags).map(([flagKey, flagTemplates]) => [
+          flagKey,
+          Object.keys(flagTemplates.variations || {})
+        ])
+      )
+    };
+  }
+}
+
+module.exports = new TemplateService();
@@ -0,0 +1,156 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'test-batch-jobs-'));
+
+// Keep jobs, exposures and cap reservations from this run out of the real data directory
+process.env.BATCH_JOBS_DIR = path.join(workDir, 'jobs');
+process.env.BATCH_CHUNK_SIZE = '10';
+process.env.ASSIGNMENT_SINK = 'memory';
+process.env.EXPOSURE_STORE_PATH = path.join(workDir, 'exposures.ndjson');
+process.env.FREQUENCY_CAP_STORE_PATH = path.join(workDir, 'frequency-caps.json');
+process.env.LOG_LEVEL = 'error';
+
+const eppoService = require('./services/eppoService');
+const experimentService = require('./services/experimentService');
+const batchJobService = require('./services/batchJobService');
+
+const FLAG_KEY = 'braze_message_experiment';
+const USER_COUNT = 30;
+
+let failures = 0;
+
+function check(label, ok, details) {
+  if (ok) {
+    console.log(`✅ ${label}`);
+  } else {
+    failures++;
+    console.error(`❌ ${label}${details ? `: ${details}` : ''}`);
+  }
+}
+
+function testCsvParsing(experiment) {
+  const withHeader = batchJobService.parseUserCsv(
+    'user_id,country,note\r\nuser-1,US,"likes ""quotes"", commas"\r\n\r\nuser-2,CA,\r\n',
+    experiment
+  );
+  check('CSV with a header maps identifier and attribute columns',
+    JSON.stringify(withHeader) === JSON.stringify([
+      { attributes: { country: 'US', note: 'likes "quotes", commas' }, user_id: 'user-1' },
+      { attributes: { country: 'CA' }, user_id: 'user-2' }
+    ]),
+    JSON.stringify(withHeader));
+
+  const headerless = batchJobService.parseUserCsv('user-1\nuser-2\n', experiment);
+  check('Single-column CSV without a header is a list of subjects',
+    JSON.stringify(headerless) === JSON.stringify(['user-1', 'user-2']),
+    JSON.stringify(headerless));
+
+  const { users, duplicates } = batchJobService.normalizeUsers(
+    batchJobService.parseUserCsv('external_id\nuser-1\nuser-1\nuser-2\n', experiment),
+    experiment
+  );
+  check('Duplicate subjects in a CSV are dropped', users.length === 2 && duplicates === 1,
+    `${users.length} users, ${duplicates} duplicates`);
+
+  let error = null;
+  try {
+    batchJobService.parseUserCsv('country,tier\nUS,premium\n', experiment);
+  } catch (thrown) {
+    error = thrown;
+  }
+  check('CSV whose header names no identifier column is rejected',
+    error && error.code === 'INVALID_CSV',
+    error ? error.message : 'it was parsed as users');
+}
+
+async function testResumeAfterCrash(experiment) {
+  const users = Array.from({ length: USER_COUNT }, (_, index) => ({
+    userId: `batch-user-${index}`,
+    subjectKey: 'external_id',
+    attributes: {}
+  }));
+
+  // Stop the job before its first chunk so its files exist but nothing is assigned
+  batchJobService.stopping = true;
+  const { id: jobId } = await batchJobService.createJob({ type: 'assign', experiment, users });
+  await batchJobService.running.get(jobId);
+  batchJobService.stopping = false;
+
+  // Recreate a crash between appending the second chunk and saving the job:
+  // the job file says 10 users are done, the results file holds 15 and half of the 16th
+  const job = batchJobService.jobs.get(jobId);
+  const written = await Promise.all(users.slice(0, 15).map((user, index) => batchJobService.assignUser(job, experiment, user, index)));
+  written.slice(0, 10).forEach(result => batchJobService.countResult(job, result));
+  job.assigned = 10;
+  await batchJobService.saveJob(job);
+  const lines = written.map(result => JSON.stringify(result));
+  fs.writeFileSync(batchJobService.filePath(jobId, 'results.ndjson'), `${lines.join('\n')}\n${lines[0].slice(0, 20)}`);
+
+  // Restart and resume, recording which users are assigned again
+  batchJobService.jobs.clear();
+  batchJobService.loadJobs();
+  const reassigned = [];
+  const assignUser = batchJobService.assignUser;
+  batchJobService.assignUser = function(jobState, experimentConfig, user, index) {
+    reassigned.push(index);
+    return assignUser.call(this, jobState, experimentConfig, user, index);
+  };
+  try {
+    batchJobService.resumeJob(jobId);
+    await batchJobService.running.get(jobId);
+  } finally {
+    batchJobService.assignUser = assignUser;
+  }
+
+  const resumed = batchJobService.getJob(jobId);
+  check('Resumed job completes', resumed.status === 'completed', `status ${resumed.status}, error ${resumed.error}`);
+  check('Results written before the crash are not assigned again',
+    reassigned.length === USER_COUNT - 15 && reassigned[0] === 15,
+    `reassigned ${reassigned.join(',')}`);
+
+  const counted = Object.values(resumed.variations).reduce((sum, count) => sum + count, 0) +
+    resumed.unassigned + resumed.assignmentErrors;
+  check('Every user is counted once', counted === USER_COUNT, `${counted} counted`);
+
+  const results = await batchJobService.readResults(jobId);
+  check('Results hold one entry per user',
+    results.length === USER_COUNT && results.every((result, index) => result.index === index),
+    `${results.length} results`);
+
+  const fileLines = fs.readFileSync(batchJobService.filePath(jobId, 'results.ndjson'), 'utf8').split('\n').filter(Boolean);
+  const corrupt = fileLines.filter(line => {
+    try {
+      JSON.parse(line);
+      return false;
+    } catch (error) {
+      return true;
+    }
+  });
+  check('Only the line cut short by the crash is unreadable', corrupt.length === 1, `${corrupt.length} unreadable lines`);
+}
+
+async function testBatchJobs() {
+  console.log('🔍 Checking batch job CSV parsing and resume...\n');
+
+  experimentService.loadExperiments();
+  await eppoService.initializeFromFile(path.join(__dirname, 'config', 'eppo-flags.example.json'), 'file');
+  const experiment = experimentService.getExperiment(FLAG_KEY);
+
+  testCsvParsing(experiment);
+  await testResumeAfterCrash(experiment);
+
+  if (failures > 0) {
+    console.error(`\n❌ ${failures} batch job checks failed`);
+    process.exitCode = 1;
+  }
+}
+
+// Run the test
+testBatchJobs()
+  .catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+  })
+  .finally(() => fs.rmSync(workDir, { recursive: true, force: true }));
@@ -113,7 +113,7 @@ async function testBrazeConnection() {
   try {
     // Test 3: Check campaign trigger permissions
     console.log('\n3. Testing campaign trigger permissions...');
-    const campaignResponse = await axios.post(`${process.env.BRAZE_REST_ENDPOINT}/campaigns/trigger/send`, {
+    await axios.post(`${process.env.BRAZE_REST_ENDPOINT}/campaigns/trigger/send`, {
       campaign_id: 'test-nonexistent-campaign',
       recipients: [
         {
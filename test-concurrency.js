@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+
+// Keep exposures from this run out of the real assignment log and exposure store
+process.env.ASSIGNMENT_SINK = 'memory';
+process.env.EXPOSURE_STORE_PATH = path.join(os.tmpdir(), `test-concurrency-exposures-${process.pid}.json`);
+
+const eppoService = require('./services/eppoService');
+
+const CONCURRENT_REQUESTS = parseInt(process.argv[2], 10) || 500;
+
+// Stubbed flag configuration: each flag splits subjects across its variations
+const STUB_FLAGS = {
+  braze_message_experiment: { allocation: 'allocation-braze', variations: ['control', 'treatment'] },
+  welcome_copy_test: { allocation: 'allocation-welcome', variations: ['short', 'long', 'emoji'] },
+  push_timing_test: { allocation: 'allocation-push', variations: ['morning', 'evening'] }
+};
+
+function bucket(flagKey, userId) {
+  const { variations } = STUB_FLAGS[flagKey];
+  const hash = crypto.createHash('md5').update(`${flagKey}-${userId}`).digest();
+  return variations[hash.readUInt32BE(0) % variations.length];
+}
+
+// How the stub's assignment logger behaves for a subject:
+//   logs          - fires for the subject being assigned, like the SDK normally does
+//   skips-logger  - never fires, as for a cached or default assignment
+//   logs-other    - fires for a different subject, as a misbehaving logger might
+const LOGGER_MODES = ['logs', 'skips-logger', 'logs-other'];
+
+function loggerMode(subjectKey) {
+  return LOGGER_MODES[Number(subjectKey.split('-').pop()) % LOGGER_MODES.length];
+}
+
+// Minimal stand-in for the Eppo client that logs through eppoService like the SDK does
+const stubClient = {
+  assignmentLogger: true,
+  getStringAssignment(flagKey, subjectKey, subjectAttributes, defaultValue) {
+    if (!STUB_FLAGS[flagKey]) return defaultValue;
+    const variation = bucket(flagKey, subjectKey);
+    const mode = loggerMode(subjectKey);
+    if (mode !== 'skips-logger') {
+      const loggedSubject = mode === 'logs-other' ? `${subjectKey}-other` : subjectKey;
+      eppoService.handleAssignmentLog({
+        featureFlag: flagKey,
+        allocation: STUB_FLAGS[flagKey].allocation,
+        experiment: `${flagKey}-${STUB_FLAGS[flagKey].allocation}`,
+        variation: bucket(flagKey, loggedSubject),
+        subject: loggedSubject,
+        subjectAttributes,
+        timestamp: new Date().toISOString()
+      });
+    }
+    return variation;
+  }
+};
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function simulateRequest(index) {
+  const flagKeys = Object.keys(STUB_FLAGS);
+  const flagKey = flagKeys[index % flagKeys.length];
+  const userId = `user-${index}`;
+  const userAttributes = { request_index: index };
+
+  // Stagger requests like real webhook traffic waiting on enrichment
+  await delay(Math.random() * 20);
+  const result = eppoService.getAssignment(flagKey, userId, userAttributes, { source: 'test-concurrency' });
+  await delay(Math.random() * 20);
+
+  const mode = loggerMode(userId);
+  const details = result.assignmentDetails || {};
+  const problems = [];
+  if (result.assignment !== bucket(flagKey, userId)) problems.push(`assignment ${result.assignment}`);
+  if (details.flagKey !== flagKey) problems.push(`details.flagKey ${details.flagKey}`);
+  if (details.subject !== userId) problems.push(`details.subject ${details.subject}`);
+  if (details.variation !== result.assignment) problems.push(`details.variation ${details.variation}`);
+
+  if (mode === 'logs') {
+    if (details.debug) problems.push('fallback details despite the logger firing');
+    if (details.allocation !== STUB_FLAGS[flagKey].allocation) problems.push(`details.allocation ${details.allocation}`);
+    if (!details.subjectAttributes || details.subjectAttributes.request_index !== index) {
+      problems.push('details.subjectAttributes belong to another request');
+    }
+  } else {
+    // Anything captured for another call must not leak in; the details are rebuilt from this call alone
+    const expectedFired = mode === 'logs-other';
+    if (!details.debug) {
+      problems.push(`captured details used in ${mode} mode`);
+    } else if (details.debug.assignmentLoggerFired !== expectedFired) {
+      problems.push(`debug.assignmentLoggerFired ${details.debug.assignmentLoggerFired} in ${mode} mode`);
+    }
+    if (details.allocation !== null) problems.push(`stale details.allocation ${details.allocation}`);
+    if (details.subjectAttributes) problems.push('stale details.subjectAttributes');
+  }
+
+  return { flagKey, userId, mode, problems };
+}
+
+async function testConcurrentAssignments() {
+  console.log(`🔍 Firing ${CONCURRENT_REQUESTS} concurrent assignments against the stubbed config...\n`);
+
+  eppoService.client = stubClient;
+  eppoService.initialized = true;
+
+  const results = await Promise.all(
+    Array.from({ length: CONCURRENT_REQUESTS }, (_, index) => simulateRequest(index))
+  );
+  const failures = results.filter(result => result.problems.length > 0);
+
+  if (failures.length > 0) {
+    console.error(`❌ ${failures.length} of ${results.length} assignments returned the wrong details:`);
+    failures.slice(0, 10).forEach(({ flagKey, userId, mode, problems }) => {
+      console.log(`   • ${userId} / ${flagKey} (${mode}): ${problems.join(', ')}`);
+    });
+    process.exitCode = 1;
+    return;
+  }
+
+  const byMode = LOGGER_MODES.map(mode => `${results.filter(result => result.mode === mode).length} ${mode}`);
+  console.log(`✅ All ${results.length} assignments returned their own details (${byMode.join(', ')})`);
+}
+
+// Run the test
+testConcurrentAssignments().catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,100 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'test-eppo-offline-'));
+const exampleConfigPath = path.join(__dirname, 'config', 'eppo-flags.example.json');
+
+// Online mode with no SDK key fails to initialize, which is what forces the snapshot fallback
+process.env.EPPO_CONFIG_MODE = 'online';
+process.env.EPPO_CONFIG_SNAPSHOT_PATH = path.join(workDir, 'snapshot.json');
+delete process.env.EPPO_SDK_KEY;
+
+// Keep exposures from this run out of the real assignment log and exposure store
+process.env.ASSIGNMENT_SINK = 'memory';
+process.env.EXPOSURE_STORE_PATH = path.join(workDir, 'exposures.json');
+
+const eppoService = require('./services/eppoService');
+
+const FLAG_KEY = 'braze_message_experiment';
+const USER_IDS = Array.from({ length: 200 }, (_, index) => `offline-user-${index}`);
+
+function assignAll() {
+  return USER_IDS.map(userId => eppoService.getAssignment(FLAG_KEY, userId, {}, { source: 'test-eppo-offline' }));
+}
+
+function checkAssignments(label, results) {
+  const problems = [];
+  const counts = {};
+
+  results.forEach(result => {
+    counts[result.assignment] = (counts[result.assignment] || 0) + 1;
+    if (!['control', 'treatment'].includes(result.assignment)) {
+      problems.push(`${result.userId}: assignment ${result.assignment}`);
+    } else if (!result.assignmentDetails || result.assignmentDetails.allocation !== 'braze-message-50-50') {
+      problems.push(`${result.userId}: assignment logger did not fire`);
+    }
+  });
+  if (!counts.control || !counts.treatment) {
+    problems.push(`every user got the same variation: ${JSON.stringify(counts)}`);
+  }
+
+  if (problems.length > 0) {
+    console.error(`❌ ${label}: ${problems.length} problems`);
+    problems.slice(0, 10).forEach(problem => console.log(`   • ${problem}`));
+    process.exitCode = 1;
+    return false;
+  }
+  console.log(`✅ ${label}: ${JSON.stringify(counts)}`);
+  return true;
+}
+
+async function testOfflineConfiguration() {
+  console.log('🔍 Booting the Eppo client from local configuration...\n');
+
+  // 1. Offline mode loads EPPO_CONFIG_FILE
+  eppoService.configMode = 'offline';
+  eppoService.configFilePath = exampleConfigPath;
+  await eppoService.initializeFromFile(exampleConfigPath, 'file');
+  const fromFile = assignAll();
+  if (!checkAssignments('Offline file', fromFile)) return;
+
+  // 2. The live configuration is snapshotted...
+  if (!eppoService.snapshotConfiguration()) {
+    console.error('❌ No snapshot was written');
+    process.exitCode = 1;
+    return;
+  }
+
+  // 3. ...and a failed online boot falls back to it
+  eppoService.client = null;
+  eppoService.initialized = false;
+  eppoService.configMode = 'online';
+  await eppoService.initializeEppo();
+
+  const info = eppoService.getClientInfo();
+  if (!info.initialized || info.configSource !== 'snapshot') {
+    console.error(`❌ Expected to boot from the snapshot, got ${JSON.stringify(info)}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const fromSnapshot = assignAll();
+  if (!checkAssignments('Snapshot fallback', fromSnapshot)) return;
+
+  const changed = fromSnapshot.filter((result, index) => result.assignment !== fromFile[index].assignment);
+  if (changed.length > 0) {
+    console.error(`❌ ${changed.length} users changed variation between the file and its snapshot`);
+    process.exitCode = 1;
+    return;
+  }
+  console.log('✅ Every user kept their variation across the snapshot');
+}
+
+// Run the test
+testOfflineConfiguration()
+  .catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+  })
+  .finally(() => fs.rmSync(workDir, { recursive: true, force: true }));
@@ -0,0 +1,148 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'test-exposure-store-'));
+
+// Keep the default store out of the real data directory and the expected warnings out of the output
+process.env.EXPOSURE_STORE_PATH = path.join(workDir, 'default.ndjson');
+process.env.LOG_LEVEL = 'error';
+
+const exposureService = require('./services/exposureService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let failures = 0;
+
+function check(label, ok, details) {
+  if (ok) {
+    console.log(`✅ ${label}`);
+  } else {
+    failures++;
+    console.error(`❌ ${label}${details ? `: ${details}` : ''}`);
+  }
+}
+
+// A store of its own, as the service would be after a restart
+function openStore(fileName, options = {}) {
+  const store = new exposureService.constructor();
+  store.storePath = path.join(workDir, fileName);
+  store.legacyStorePath = null;
+  Object.assign(store, options);
+  return store;
+}
+
+function readLines(fileName) {
+  const filePath = path.join(workDir, fileName);
+  return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean) : [];
+}
+
+function record(store, userId, variation, timestamp = new Date().toISOString()) {
+  return store.recordExposure({ flagKey: 'store_flag', userId, variation, timestamp, source: 'test-exposure-store' });
+}
+
+async function testAppendAndReload() {
+  const store = openStore('append.ndjson');
+  ['user-1', 'user-2', 'user-3'].forEach(userId => record(store, userId, 'control'));
+  await store.flush();
+  const firstSave = readLines('append.ndjson').length;
+
+  const repeated = record(store, 'user-1', 'treatment');
+  record(store, 'user-4', 'treatment');
+  await store.flush();
+  check('New exposures are appended and repeats are ignored',
+    firstSave === 3 && !repeated && readLines('append.ndjson').length === 4,
+    `${firstSave} then ${readLines('append.ndjson').length} lines`);
+
+  const reloaded = openStore('append.ndjson');
+  const exposure = reloaded.getFirstExposure('user-1', 'store_flag');
+  check('The first exposure survives a restart',
+    exposure && exposure.variation === 'control' && reloaded.getStats().trackedPairs === 4,
+    JSON.stringify(exposure));
+}
+
+async function testRetentionAndEviction() {
+  const now = Date.now();
+  fs.writeFileSync(path.join(workDir, 'retention.ndjson'), [
+    { userId: 'old-user', flagKey: 'store_flag', variation: 'control', timestamp: new Date(now - 100 * DAY_MS).toISOString() },
+    { userId: 'new-user', flagKey: 'store_flag', variation: 'control', timestamp: new Date(now - DAY_MS).toISOString() }
+  ].map(line => `${JSON.stringify(line)}\n`).join(''));
+
+  const store = openStore('retention.ndjson', { retentionMs: 90 * DAY_MS });
+  store.load();
+  check('Exposures past the retention period are dropped on load',
+    store.getFirstExposure('old-user', 'store_flag') === null &&
+    store.getFirstExposure('new-user', 'store_flag') !== null &&
+    store.getStats().expired === 1);
+  await store.flush();
+  check('The file is compacted after dropping them', readLines('retention.ndjson').length === 1,
+    `${readLines('retention.ndjson').length} lines`);
+
+  const bounded = openStore('bounded.ndjson', { maxEntries: 3 });
+  ['user-1', 'user-2', 'user-3', 'user-4', 'user-5'].forEach(userId => record(bounded, userId, 'control'));
+  check('The oldest exposures are evicted beyond maxEntries',
+    bounded.getStats().trackedPairs === 3 && bounded.getStats().evicted === 2 &&
+    bounded.getFirstExposure('user-1', 'store_flag') === null && bounded.getFirstExposure('user-5', 'store_flag') !== null);
+}
+
+async function testCompaction() {
+  // Each exposure is appended, so with heavy eviction the file outgrows the live entries
+  const store = openStore('compact.ndjson', { maxEntries: 100 });
+  for (let index = 0; index < 10200; index++) {
+    record(store, `user-${index}`, 'control');
+  }
+  await store.flush();
+  check('Too many dead lines make the save rewrite the file', readLines('compact.ndjson').length === 100,
+    `${readLines('compact.ndjson').length} lines`);
+
+  // A crash mid-append leaves a cut-short line; duplicates come from older writers
+  const line = userId => JSON.stringify({ userId, flagKey: 'store_flag', variation: 'control', timestamp: new Date().toISOString() });
+  fs.writeFileSync(path.join(workDir, 'damaged.ndjson'),
+    `${line('user:with:colons')}\n${line('user-2')}\n${line('user-2')}\n${line('user-3').slice(0, 25)}`);
+  const damaged = openStore('damaged.ndjson');
+  damaged.load();
+  check('Unreadable and duplicate lines are skipped on load', damaged.getStats().trackedPairs === 2);
+  await damaged.flush();
+  const rewritten = readLines('damaged.ndjson').map(entry => JSON.parse(entry));
+  check('The damaged file is rewritten with one line per exposure',
+    rewritten.length === 2 && rewritten[0].userId === 'user:with:colons' && rewritten[0].flagKey === 'store_flag',
+    JSON.stringify(rewritten));
+}
+
+async function testLegacyStore() {
+  const legacyPath = path.join(workDir, 'exposures.json');
+  fs.writeFileSync(legacyPath, JSON.stringify({
+    'legacy-user:store_flag': { variation: 'treatment', allocation: null, timestamp: new Date().toISOString(), source: 'webhook' }
+  }));
+
+  const store = openStore('migrated.ndjson', { legacyStorePath: legacyPath });
+  const exposure = store.getFirstExposure('legacy-user', 'store_flag');
+  await store.flush();
+  const lines = readLines('migrated.ndjson').map(entry => JSON.parse(entry));
+  check('The legacy JSON store is read and rewritten as ndjson',
+    exposure && exposure.variation === 'treatment' &&
+    lines.length === 1 && lines[0].userId === 'legacy-user' && lines[0].flagKey === 'store_flag',
+    JSON.stringify(lines));
+}
+
+async function testExposureStore() {
+  console.log('🔍 Checking the exposure store...\n');
+
+  await testAppendAndReload();
+  await testRetentionAndEviction();
+  await testCompaction();
+  await testLegacyStore();
+
+  if (failures > 0) {
+    console.error(`\n❌ ${failures} exposure store checks failed`);
+    process.exitCode = 1;
+  }
+}
+
+// Run the test
+testExposureStore()
+  .catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+  })
+  .finally(() => fs.rmSync(workDir, { recursive: true, force: true }));
@@ -0,0 +1,140 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'test-frequency-cap-'));
+const HOLDOUT_FLAG_KEY = 'global_holdout';
+
+// Keep cap history and exposures from this run out of the real data directory
+process.env.FREQUENCY_CAP_STORE_PATH = path.join(workDir, 'frequency-caps.json');
+process.env.ASSIGNMENT_SINK = 'memory';
+process.env.EXPOSURE_STORE_PATH = path.join(workDir, 'exposures.ndjson');
+process.env.HOLDOUT_FLAG_KEY = HOLDOUT_FLAG_KEY;
+process.env.LOG_LEVEL = 'error';
+delete process.env.FREQUENCY_CAP_MAX_SENDS;
+
+const eppoService = require('./services/eppoService');
+const exposureService = require('./services/exposureService');
+const frequencyCapService = require('./services/frequencyCapService');
+const holdoutService = require('./services/holdoutService');
+
+// The example flags plus a boolean holdout flag that is true for 20% of users
+function writeFlagConfig() {
+  const config = JSON.parse(fs.readFileSync(path.join(__dirname, 'config', 'eppo-flags.example.json'), 'utf8'));
+  const shard = (start, end) => [{ salt: `${HOLDOUT_FLAG_KEY}-split`, ranges: [{ start, end }] }];
+  config.flags[HOLDOUT_FLAG_KEY] = {
+    key: HOLDOUT_FLAG_KEY,
+    enabled: true,
+    variationType: 'BOOLEAN',
+    variations: {
+      true: { key: 'true', value: true },
+      false: { key: 'false', value: false }
+    },
+    allocations: [{
+      key: 'holdout-20',
+      rules: [],
+      splits: [
+        { variationKey: 'true', shards: shard(0, 2000) },
+        { variationKey: 'false', shards: shard(2000, 10000) }
+      ],
+      doLog: true
+    }],
+    totalShards: 10000
+  };
+  const configPath = path.join(workDir, 'flags.json');
+  fs.writeFileSync(configPath, JSON.stringify(config));
+  return configPath;
+}
+
+let failures = 0;
+
+function check(label, ok, details) {
+  if (ok) {
+    console.log(`✅ ${label}`);
+  } else {
+    failures++;
+    console.error(`❌ ${label}${details ? `: ${details}` : ''}`);
+  }
+}
+
+async function testFrequencyCap() {
+  const experiment = { flagKey: 'capped_flag', frequencyCap: { maxSends: 2, windowMs: 60 * 1000 } };
+
+  const first = frequencyCapService.check('cap-user', experiment);
+  const second = frequencyCapService.check('cap-user', experiment);
+  const third = frequencyCapService.check('cap-user', experiment);
+  check('Sends are allowed up to maxSends, then capped',
+    first.allowed && second.allowed && !third.allowed && third.sends === 2,
+    JSON.stringify([first, second, third].map(result => result.allowed)));
+  check('A capped result says when the oldest send leaves the window',
+    third.resetAt === new Date(first.reservedAt + experiment.frequencyCap.windowMs).toISOString(),
+    third.resetAt);
+
+  const peek = frequencyCapService.check('peek-user', experiment, { reserve: false });
+  const afterPeek = frequencyCapService.check('peek-user', experiment, { reserve: false });
+  check('A check without reserving uses no slot', peek.allowed && peek.reservedAt === null && afterPeek.sends === 0);
+
+  frequencyCapService.release('cap-user', experiment, second);
+  const afterRelease = frequencyCapService.check('cap-user', experiment, { reserve: false });
+  check('Releasing a reservation gives the slot back', afterRelease.allowed && afterRelease.sends === 1,
+    JSON.stringify(afterRelease));
+
+  // Sends older than the window no longer count
+  frequencyCapService.sends.set('old-user:capped_flag', [Date.now() - 2 * 60 * 1000, Date.now() - 90 * 1000]);
+  check('Sends outside the window are not counted', frequencyCapService.check('old-user', experiment).allowed);
+
+  const optedOut = frequencyCapService.check('cap-user', { flagKey: 'capped_flag', frequencyCap: false });
+  const noDefault = frequencyCapService.check('cap-user', { flagKey: 'uncapped_flag' });
+  check('Experiments without a cap are never capped',
+    optedOut.allowed && optedOut.maxSends === null && noDefault.allowed && noDefault.maxSends === null);
+
+  // The history survives a restart
+  await frequencyCapService.flush();
+  const restarted = new frequencyCapService.constructor();
+  const afterRestart = restarted.check('cap-user', experiment, { reserve: false });
+  check('Send history is reloaded from the store', afterRestart.sends === 1, JSON.stringify(afterRestart));
+}
+
+async function testHoldout() {
+  await eppoService.initializeFromFile(writeFlagConfig(), 'file');
+
+  const userIds = Array.from({ length: 1000 }, (_, index) => `holdout-user-${index}`);
+  const first = userIds.map(userId => holdoutService.evaluate(userId, {}, { source: 'test-frequency-cap' }));
+  const heldOut = first.filter(result => result.inHoldout).length;
+  check('About 20% of users are held out', heldOut > 150 && heldOut < 250, `${heldOut} of ${userIds.length}`);
+
+  const again = userIds.map(userId => holdoutService.evaluate(userId, {}, { source: 'test-frequency-cap' }));
+  check('Holdout membership is stable per user',
+    again.every((result, index) => result.inHoldout === first[index].inHoldout));
+
+  check('Holdout evaluations are logged as exposures',
+    exposureService.getFirstExposure(userIds[0], HOLDOUT_FLAG_KEY) !== null);
+  holdoutService.evaluate('dry-run-user', {}, { source: 'test-frequency-cap', logExposure: false });
+  check('A holdout evaluation without exposure logging leaves no exposure',
+    exposureService.getFirstExposure('dry-run-user', HOLDOUT_FLAG_KEY) === null);
+
+  const disabled = new holdoutService.constructor();
+  disabled.flagKey = null;
+  check('No holdout is applied without HOLDOUT_FLAG_KEY', disabled.evaluate('holdout-user-0') === null);
+}
+
+async function testFrequencyCapAndHoldout() {
+  console.log('🔍 Checking frequency caps and the holdout group...\n');
+
+  await testFrequencyCap();
+  await testHoldout();
+  await exposureService.flush();
+
+  if (failures > 0) {
+    console.error(`\n❌ ${failures} frequency cap and holdout checks failed`);
+    process.exitCode = 1;
+  }
+}
+
+// Run the test
+testFrequencyCapAndHoldout()
+  .catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+  })
+  .finally(() => fs.rmSync(workDir, { recursive: true, force: true }));
@@ -0,0 +1,103 @@
+// Fixed settings so the checks below do not depend on the environment
+process.env.LOOP_GUARD_SECRET = 'test-loop-guard-secret';
+process.env.LOOP_GUARD_DEDUP_WINDOW_MS = '60000';
+process.env.LOOP_GUARD_MAX_TRIGGERS_PER_USER = '3';
+process.env.LOOP_GUARD_CAP_WINDOW_MS = '3600000';
+process.env.LOOP_GUARD_TOKEN_MAX_AGE_MS = '60000';
+process.env.LOOP_GUARD_LEGACY_DETECTION = 'false';
+process.env.LOG_LEVEL = 'error';
+
+const loopGuardService = require('./services/loopGuardService');
+
+const CONTEXT = { userId: 'loop-user', flagKey: 'braze_message_experiment', targetId: 'campaign-1' };
+const TARGET = { type: 'campaign', id: 'campaign-1' };
+
+let failures = 0;
+
+function check(label, ok, details) {
+  if (ok) {
+    console.log(`✅ ${label}`);
+  } else {
+    failures++;
+    console.error(`❌ ${label}${details ? `: ${details}` : ''}`);
+  }
+}
+
+// A token signed with the service's secret but issued at a chosen time
+function tokenIssuedAt(iat) {
+  const payload = Buffer.from(JSON.stringify({ u: CONTEXT.userId, f: CONTEXT.flagKey, t: CONTEXT.targetId, iat })).toString('base64url');
+  return `${payload}.${loopGuardService.sign(payload)}`;
+}
+
+function testTokens() {
+  const { eppo_correlation_token: token } = loopGuardService.tokenProperties(CONTEXT);
+  const decoded = loopGuardService.verifyToken(token);
+  check('A token verifies and carries the trigger context',
+    decoded && decoded.u === CONTEXT.userId && decoded.f === CONTEXT.flagKey && decoded.t === CONTEXT.targetId,
+    JSON.stringify(decoded));
+  check('Tokens for the same trigger differ', token !== loopGuardService.createToken(CONTEXT));
+
+  const fromBody = loopGuardService.resolveOrigin({ eppo_correlation_token: token });
+  const fromTriggerProperties = loopGuardService.resolveOrigin({ trigger_properties: { eppo_correlation_token: token } });
+  const fromHeader = loopGuardService.resolveOrigin({}, { headers: { 'x-eppo-correlation-token': token } });
+  check('A forwarded token marks the request as a callback in the body, trigger properties or header',
+    [fromBody, fromTriggerProperties, fromHeader].every(result => result.origin === 'callback'),
+    JSON.stringify([fromBody, fromTriggerProperties, fromHeader].map(result => result.origin)));
+
+  const [payload, signature] = token.split('.');
+  const forgedPayload = Buffer.from(JSON.stringify({ ...decoded, u: 'someone-else' })).toString('base64url');
+  check('A token with a changed payload is invalid',
+    loopGuardService.resolveOrigin({ eppo_correlation_token: `${forgedPayload}.${signature}` }).origin === 'invalid');
+  check('A token without a signature is invalid',
+    loopGuardService.resolveOrigin({ eppo_correlation_token: payload }).origin === 'invalid');
+
+  const expiredBefore = loopGuardService.metrics.expiredTokens;
+  const expired = loopGuardService.resolveOrigin({ eppo_correlation_token: tokenIssuedAt(Date.now() - 2 * 60 * 1000) });
+  check('An expired token counts as no token', expired.origin === 'external', expired.origin);
+  check('An expired token is recorded',
+    loopGuardService.metrics.expiredTokens === expiredBefore + 1 &&
+    loopGuardService.getRecentEvents()[0].type === 'expired_token');
+  check('A token just inside its maximum age is still a callback',
+    loopGuardService.resolveOrigin({ eppo_correlation_token: tokenIssuedAt(Date.now() - 50 * 1000) }).origin === 'callback');
+
+  check('A request without a token from an in-process caller is internal',
+    loopGuardService.resolveOrigin({}, { internal: true }).origin === 'internal');
+  check('Braze-looking requests without a token are external while legacy detection is off',
+    loopGuardService.resolveOrigin({ trigger_properties: {} }).origin === 'external');
+
+  const callback = loopGuardService.resolveOrigin({ eppo_correlation_token: token });
+  const blocked = loopGuardService.checkOrigin({ ...CONTEXT, target: TARGET, ...callback });
+  check('A callback is not allowed to trigger', !blocked.allowed, JSON.stringify(blocked));
+}
+
+function testTriggerLimits() {
+  const first = loopGuardService.reserveTrigger({ userId: 'dedup-user', flagKey: CONTEXT.flagKey, target: TARGET });
+  const repeat = loopGuardService.reserveTrigger({ userId: 'dedup-user', flagKey: CONTEXT.flagKey, target: TARGET });
+  const otherTarget = loopGuardService.reserveTrigger({
+    userId: 'dedup-user', flagKey: CONTEXT.flagKey, target: { type: 'canvas', id: 'canvas-1' }
+  });
+  check('The same target is triggered once per user within the de-duplication window',
+    first.allowed && !repeat.allowed && otherTarget.allowed,
+    JSON.stringify([first, repeat, otherTarget].map(result => result.allowed)));
+
+  // Past the de-duplication window, the same target may go again
+  loopGuardService.lastTriggers.set('dedup-user:campaign:campaign-1', Date.now() - 2 * 60 * 1000);
+  check('The same target may be triggered again after the window',
+    loopGuardService.reserveTrigger({ userId: 'dedup-user', flagKey: CONTEXT.flagKey, target: TARGET }).allowed);
+
+  const results = ['a', 'b', 'c', 'd'].map(id => loopGuardService.reserveTrigger({
+    userId: 'capped-user', flagKey: CONTEXT.flagKey, target: { type: 'campaign', id: `campaign-${id}` }
+  }));
+  check('Triggers per user are capped within the cap window',
+    results.slice(0, 3).every(result => result.allowed) && !results[3].allowed,
+    JSON.stringify(results.map(result => result.allowed)));
+}
+
+console.log('🔍 Checking loop guard correlation tokens and trigger limits...\n');
+testTokens();
+testTriggerLimits();
+
+if (failures > 0) {
+  console.error(`\n❌ ${failures} loop guard checks failed`);
+  process.exitCode = 1;
+}
@@ -0,0 +1,199 @@
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { getFormatNames, renderResponse } = require('./services/responseFormats');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'test-response-formats-'));
+const CACHE_MAX_AGE_SECONDS = 900;
+
+const RESULT = {
+  flagKey: 'braze_message_experiment',
+  eppoAssignment: 'treatment',
+  templateSource: 'flag',
+  messagePreview: {
+    subject: 'Save <50%> & more',
+    body: 'Line one\nLine two',
+    cta: { text: 'Shop "now"', url: 'https://example.com/?a=1&b=2' },
+    image_url: 'https://example.com/banner.png',
+    message_variation_id: 'treatment_variation'
+  }
+};
+
+let failures = 0;
+
+function check(label, ok, details) {
+  if (ok) {
+    console.log(`✅ ${label}`);
+  } else {
+    failures++;
+    console.error(`❌ ${label}${details ? `: ${details}` : ''}`);
+  }
+}
+
+function testRendering() {
+  const render = format => renderResponse(RESULT, format);
+
+  check('json is the rendered template as it is',
+    JSON.stringify(JSON.parse(render('json').body)) === JSON.stringify(RESULT.messagePreview));
+
+  const flat = JSON.parse(render('flat').body);
+  check('flat has one level of values plus the experiment context',
+    flat.cta_text === 'Shop "now"' && flat.cta_url === RESULT.messagePreview.cta.url &&
+    flat.eppo_flag_key === RESULT.flagKey && flat.eppo_variation === 'treatment' && flat.eppo_template_source === 'flag' &&
+    Object.values(flat).every(value => value === null || typeof value !== 'object'),
+    JSON.stringify(flat));
+
+  const html = render('html');
+  check('html escapes the message and keeps line breaks',
+    html.contentType.startsWith('text/html') &&
+    html.body.includes('Save &lt;50%&gt; &amp; more') &&
+    html.body.includes('Line one<br>Line two') &&
+    html.body.includes('href="https://example.com/?a=1&amp;b=2"') &&
+    html.body.includes('Shop &quot;now&quot;'),
+    html.body);
+
+  const text = render('text');
+  check('text joins subject, body and call to action',
+    text.body === 'Save <50%> & more\n\nLine one\nLine two\n\nShop "now": https://example.com/?a=1&b=2',
+    JSON.stringify(text.body));
+
+  const card = JSON.parse(render('content_card').body);
+  check('content_card builds a captioned image card',
+    card.type === 'CAPTIONED_IMAGE' && card.title === RESULT.messagePreview.subject &&
+    card.image_url === RESULT.messagePreview.image_url && card.link_text === 'Shop "now"' &&
+    card.extras.eppo_variation === 'treatment' && card.extras.message_variation_id === 'treatment_variation',
+    JSON.stringify(card));
+  const classic = JSON.parse(renderResponse({ ...RESULT, messagePreview: { subject: 'Hi', body: 'There' } }, 'content_card').body);
+  check('content_card without an image is a classic card', classic.type === 'CLASSIC' && !('image_url' in classic));
+
+  const empty = renderResponse({ flagKey: RESULT.flagKey, eppoAssignment: null }, 'flat');
+  check('A result without a message still renders', JSON.parse(empty.body).eppo_variation === null, empty.body);
+}
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.on('error', reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+async function startServer(port) {
+  const server = spawn(process.execPath, [path.join(__dirname, 'server.js')], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      NODE_ENV: 'test',
+      LOG_LEVEL: 'silent',
+      EPPO_CONFIG_MODE: 'offline',
+      EPPO_CONFIG_FILE: path.join(__dirname, 'config', 'eppo-flags.example.json'),
+      EPPO_CONFIG_SNAPSHOT_PATH: path.join(workDir, 'snapshot.json'),
+      ASSIGNMENT_SINK: 'memory',
+      EXPOSURE_STORE_PATH: path.join(workDir, 'exposures.ndjson'),
+      FREQUENCY_CAP_STORE_PATH: path.join(workDir, 'frequency-caps.json'),
+      BATCH_JOBS_DIR: path.join(workDir, 'batch-jobs'),
+      MESSAGE_TEMPLATES_WATCH: 'false',
+      ENRICHMENT_PROVIDERS: '',
+      LOOP_GUARD_SECRET: 'test-response-formats',
+      LOOP_GUARD_LEGACY_DETECTION: 'false',
+      RESPONSE_CACHE_MAX_AGE_SECONDS: String(CACHE_MAX_AGE_SECONDS),
+      // Nothing from a local .env may reach the real Braze or a holdout flag
+      BRAZE_API_KEY: '',
+      BRAZE_REST_ENDPOINT: 'http://127.0.0.1:9',
+      BRAZE_WEBHOOK_CAMPAIGN_ID: '',
+      HOLDOUT_FLAG_KEY: '',
+      // No credentials, so webhook auth is off for this test
+      WEBHOOK_SIGNING_SECRET: '',
+      WEBHOOK_AUTH_TOKEN: '',
+      WEBHOOK_BASIC_AUTH_USERNAME: ''
+    },
+    stdio: 'ignore'
+  });
+
+  // Wait until it answers, or give up after 15 seconds
+  for (let attempt = 0; attempt < 150; attempt++) {
+    if (server.exitCode !== null) throw new Error(`Server exited with code ${server.exitCode}`);
+    try {
+      await fetch(`http://localhost:${port}/health`);
+      return server;
+    } catch (error) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+  server.kill('SIGTERM');
+  throw new Error('Server did not start');
+}
+
+async function testHttp() {
+  const port = await freePort();
+  const server = await startServer(port);
+  const url = pathAndQuery => `http://localhost:${port}${pathAndQuery}`;
+
+  try {
+    const byAccept = await fetch(url('/webhook?user_id=user-1'), { headers: { accept: 'text/plain' } });
+    check('The Accept header picks the format',
+      byAccept.status === 200 && byAccept.headers.get('content-type').startsWith('text/plain') &&
+      /Accept/i.test(byAccept.headers.get('vary') || ''),
+      `${byAccept.status} ${byAccept.headers.get('content-type')}`);
+
+    const byQuery = await fetch(url('/webhook?user_id=user-1&format=flat'), { headers: { accept: 'text/html' } });
+    const flat = await byQuery.json();
+    check('?format= wins over the Accept header',
+      byQuery.headers.get('content-type').startsWith('application/json') && flat.eppo_flag_key === 'braze_message_experiment',
+      JSON.stringify(flat));
+
+    const wildcard = await fetch(url('/webhook?user_id=user-1'), { headers: { accept: '*/*' } });
+    check('A wildcard Accept gets json', wildcard.headers.get('content-type').startsWith('application/json'));
+
+    const unknown = await fetch(url('/webhook?user_id=user-1&format=xml'));
+    check('An unknown format is rejected and not cached',
+      unknown.status === 400 && unknown.headers.get('cache-control') === 'private, no-store',
+      `${unknown.status} ${unknown.headers.get('cache-control')}`);
+
+    check('A Connected Content GET is cacheable when RESPONSE_CACHE_MAX_AGE_SECONDS is set',
+      byAccept.headers.get('cache-control') === `public, max-age=${CACHE_MAX_AGE_SECONDS}`,
+      byAccept.headers.get('cache-control'));
+
+    const post = await fetch(url('/webhook'), {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ user_id: 'user-1' })
+    });
+    check('A webhook POST is never cached',
+      post.status === 200 && post.headers.get('cache-control') === 'private, no-store',
+      `${post.status} ${post.headers.get('cache-control')}`);
+
+    const unknownFlag = await fetch(url('/webhook?user_id=user-1&flagKey=unknown_flag'));
+    check('An error response from a GET is never cached',
+      unknownFlag.status >= 400 && unknownFlag.headers.get('cache-control') === 'private, no-store',
+      `${unknownFlag.status} ${unknownFlag.headers.get('cache-control')}`);
+  } finally {
+    server.kill('SIGTERM');
+    await new Promise(resolve => (server.exitCode !== null ? resolve() : server.once('exit', resolve)));
+  }
+}
+
+async function testResponseFormats() {
+  console.log(`🔍 Checking webhook response formats (${getFormatNames().join(', ')}) and caching...\n`);
+
+  testRendering();
+  await testHttp();
+
+  if (failures > 0) {
+    console.error(`\n❌ ${failures} response format checks failed`);
+    process.exitCode = 1;
+  }
+}
+
+// Run the test
+testResponseFormats()
+  .catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+  })
+  .finally(() => fs.rmSync(workDir, { recursive: true, force: true }));
@@ -0,0 +1,161 @@
+process.env.ASSIGNMENT_SINK = 'memory';
+process.env.LOG_LEVEL = 'error';
+
+const assignmentLogService = require('./services/assignmentLogService');
+const conversionLogService = require('./services/conversionLogService');
+const resultsService = require('./services/resultsService');
+
+const FLAG_KEY = 'results_test';
+const EXPOSED_AT = '2024-01-01T00:00:00.000Z';
+const CONVERTED_AT = '2024-01-02T00:00:00.000Z';
+
+let failures = 0;
+
+function check(label, ok, details) {
+  if (ok) {
+    console.log(`✅ ${label}`);
+  } else {
+    failures++;
+    console.error(`❌ ${label}${details ? `: ${details}` : ''}`);
+  }
+}
+
+const near = (actual, expected, tolerance = 1e-4) => typeof actual === 'number' && Math.abs(actual - expected) <= tolerance;
+
+// Serve the results from fixed logs instead of the assignment and conversion stores
+function useLogs(assignments, conversions) {
+  assignmentLogService.queryAssignments = async () => assignments;
+  conversionLogService.queryConversions = async () => conversions;
+}
+
+// users per variation, of whom the first `converted` convert after their exposure
+function population(counts) {
+  const assignments = [];
+  const conversions = [];
+  Object.entries(counts).forEach(([variation, { users, converted }]) => {
+    for (let index = 0; index < users; index++) {
+      const subject = `${variation}-${index}`;
+      assignments.push({ subject, variation, timestamp: EXPOSED_AT });
+      if (index < converted) conversions.push({ subject, eventName: 'purchase', timestamp: CONVERTED_AT });
+    }
+  });
+  return { assignments, conversions };
+}
+
+async function testWilsonInterval() {
+  const { assignments, conversions } = population({
+    control: { users: 100, converted: 20 },
+    none: { users: 50, converted: 0 },
+    all: { users: 50, converted: 50 }
+  });
+  useLogs(assignments, conversions);
+  const results = await resultsService.getResults({ flagKey: FLAG_KEY });
+  const byName = Object.fromEntries(results.variations.map(row => [row.variation, row]));
+
+  // Reference values from the Wilson score formula at z = 1.96
+  const { lower, upper } = byName.control.confidenceInterval;
+  check('Wilson interval for 20 of 100', near(lower, 0.13337) && near(upper, 0.28883), `${lower} - ${upper}`);
+  check('Wilson interval stays inside [0, 1] with no conversions',
+    byName.none.confidenceInterval.lower === 0 && near(byName.none.confidenceInterval.upper, 0.07135),
+    JSON.stringify(byName.none.confidenceInterval));
+  check('Wilson interval stays inside [0, 1] when everyone converts',
+    near(byName.all.confidenceInterval.lower, 0.92865) && byName.all.confidenceInterval.upper === 1,
+    JSON.stringify(byName.all.confidenceInterval));
+
+  const narrower = await resultsService.getResults({ flagKey: FLAG_KEY, confidence: 0.9 });
+  const interval90 = narrower.variations.find(row => row.variation === 'control').confidenceInterval;
+  check('A lower confidence level gives a narrower interval', interval90.lower > lower && interval90.upper < upper,
+    JSON.stringify(interval90));
+}
+
+async function testZTest() {
+  const { assignments, conversions } = population({
+    control: { users: 1000, converted: 100 },
+    treatment: { users: 1000, converted: 130 }
+  });
+  useLogs(assignments, conversions);
+  const results = await resultsService.getResults({ flagKey: FLAG_KEY });
+  const { comparison } = results.variations.find(row => row.variation === 'treatment');
+
+  // Reference values: pooled z-test for the p-value, unpooled interval on the difference
+  check('Compared against control by default', results.baseline === 'control' && comparison.baseline === 'control');
+  check('Difference and relative lift', near(comparison.difference, 0.03) && near(comparison.relativeLift, 0.3),
+    JSON.stringify(comparison));
+  check('z-score and two-sided p-value', near(comparison.zScore, 2.10274) && near(comparison.pValue, 0.03549),
+    `z ${comparison.zScore}, p ${comparison.pValue}`);
+  check('Interval on the difference',
+    near(comparison.differenceInterval.lower, 0.00207) && near(comparison.differenceInterval.upper, 0.05793),
+    JSON.stringify(comparison.differenceInterval));
+  check('Significant at 95% but not at 99%',
+    comparison.significant &&
+    !(await resultsService.getResults({ flagKey: FLAG_KEY, confidence: 0.99 })).variations
+      .find(row => row.variation === 'treatment').comparison.significant);
+
+  const same = population({ control: { users: 500, converted: 50 }, treatment: { users: 500, converted: 50 } });
+  useLogs(same.assignments, same.conversions);
+  const aa = (await resultsService.getResults({ flagKey: FLAG_KEY })).variations.find(row => row.variation === 'treatment').comparison;
+  check('Equal rates give p = 1 and no significance', aa.zScore === 0 && near(aa.pValue, 1) && !aa.significant,
+    JSON.stringify(aa));
+
+  const noConversions = population({ control: { users: 200, converted: 0 }, treatment: { users: 200, converted: 0 } });
+  useLogs(noConversions.assignments, noConversions.conversions);
+  const flat = (await resultsService.getResults({ flagKey: FLAG_KEY })).variations.find(row => row.variation === 'treatment').comparison;
+  check('No conversions at all gives no z-score rather than NaN', flat.zScore === null && flat.pValue === null && !flat.significant,
+    JSON.stringify(flat));
+}
+
+async function testAttribution() {
+  useLogs([
+    { subject: 'user-1', variation: 'control', timestamp: EXPOSED_AT },
+    { subject: 'user-1', variation: 'treatment', timestamp: CONVERTED_AT },
+    { subject: 'user-2', variation: 'treatment', timestamp: CONVERTED_AT },
+    { subject: 'user-3', variation: null, timestamp: EXPOSED_AT }
+  ], [
+    { subject: 'user-1', eventName: 'purchase', timestamp: CONVERTED_AT },
+    { subject: 'user-1', eventName: 'purchase', timestamp: CONVERTED_AT },
+    { subject: 'user-2', eventName: 'purchase', timestamp: EXPOSED_AT },
+    { subject: 'user-3', eventName: 'signup', timestamp: CONVERTED_AT }
+  ]);
+  const results = await resultsService.getResults({ flagKey: FLAG_KEY, eventName: 'purchase', baseline: 'missing' });
+  const byName = Object.fromEntries(results.variations.map(row => [row.variation, row]));
+
+  check('Users count once, in the variation of their first exposure',
+    results.totals.users === 2 && byName.control.users === 1 && byName.treatment.users === 1,
+    JSON.stringify(results.totals));
+  check('Repeat events count as events but convert the user once',
+    byName.control.events === 2 && byName.control.conversions === 1, JSON.stringify(byName.control));
+  check('Events before the exposure or from unexposed users are unattributed',
+    byName.treatment.conversions === 0 && results.totals.unattributedEvents === 1,
+    JSON.stringify(results.totals));
+  check('Event names are listed even when filtered out', JSON.stringify(results.eventNames) === '["purchase","signup"]');
+  check('An unknown baseline falls back to control with a warning',
+    results.baseline === 'control' && results.warnings.some(warning => warning.includes('"missing" has no exposures')),
+    JSON.stringify(results.warnings));
+
+  let error = null;
+  try {
+    await resultsService.getResults({ flagKey: FLAG_KEY, confidence: 0.5 });
+  } catch (thrown) {
+    error = thrown;
+  }
+  check('Unsupported confidence levels are rejected', error && error.message.includes('confidence must be one of'));
+}
+
+async function testResults() {
+  console.log('🔍 Checking experiment results statistics...\n');
+
+  await testWilsonInterval();
+  await testZTest();
+  await testAttribution();
+
+  if (failures > 0) {
+    console.error(`\n❌ ${failures} results checks failed`);
+    process.exitCode = 1;
+  }
+}
+
+// Run the test
+testResults().catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
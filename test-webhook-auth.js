@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+
+// Keep the expected rejection warnings out of the test output
+process.env.LOG_LEVEL = 'error';
+
+const { createWebhookAuth, createDemoRoutesGuard } = require('./middleware/webhookAuth');
+
+const SECRET = 'test-signing-secret';
+const BASE_CONFIG = {
+  signatureHeader: 'x-webhook-signature',
+  timestampHeader: 'x-webhook-timestamp',
+  toleranceSeconds: 300
+};
+
+function sign(timestamp, method, url, body = '') {
+  const hex = crypto.createHmac('sha256', SECRET).update(`${timestamp}.${method}.${url}.${body}`).digest('hex');
+  return `sha256=${hex}`;
+}
+
+function request({ method = 'POST', url = '/webhook', headers = {}, body }) {
+  return {
+    method,
+    originalUrl: url,
+    path: url.split('?')[0],
+    headers,
+    rawBody: body === undefined ? undefined : Buffer.from(body)
+  };
+}
+
+// Run a middleware against a fake request and report whether it called next()
+function run(middleware, req) {
+  const outcome = { passed: false, status: null, body: null };
+  const res = {
+    set: () => res,
+    status(code) {
+      outcome.status = code;
+      return res;
+    },
+    json(body) {
+      outcome.body = body;
+      return res;
+    }
+  };
+  middleware(req, res, () => {
+    outcome.passed = true;
+  });
+  return outcome;
+}
+
+let failures = 0;
+
+function expect(label, outcome, shouldPass, reason) {
+  const ok = outcome.passed === shouldPass &&
+    (shouldPass || (outcome.status === 401 && (!reason || outcome.body.details === reason)));
+  if (ok) {
+    console.log(`✅ ${label}`);
+  } else {
+    failures++;
+    console.error(`❌ ${label}: ${JSON.stringify(outcome)}`);
+  }
+}
+
+function testSignature() {
+  const auth = createWebhookAuth({ ...BASE_CONFIG, signingSecret: SECRET });
+  const now = String(Math.floor(Date.now() / 1000));
+  const body = '{"user_id":"user-1"}';
+
+  const signedPost = { 'x-webhook-timestamp': now, 'x-webhook-signature': sign(now, 'POST', '/webhook', body) };
+  expect('Signed POST is accepted', run(auth, request({ headers: signedPost, body })), true);
+  expect('Signed POST with a changed body is rejected',
+    run(auth, request({ headers: signedPost, body: '{"user_id":"user-2"}' })), false, 'Invalid signature');
+  expect('Signed POST replayed against another route is rejected',
+    run(auth, request({ url: '/', headers: signedPost, body })), false, 'Invalid signature');
+  expect('Signed POST replayed with an added query is rejected',
+    run(auth, request({ url: '/webhook?flagKey=other', headers: signedPost, body })), false, 'Invalid signature');
+
+  const getUrl = '/webhook?user_id=user-1&format=flat';
+  const signedGet = { 'x-webhook-timestamp': now, 'x-webhook-signature': sign(now, 'GET', getUrl) };
+  expect('Signed GET is accepted', run(auth, request({ method: 'GET', url: getUrl, headers: signedGet })), true);
+  expect('Signed GET replayed for another user is rejected',
+    run(auth, request({ method: 'GET', url: '/webhook?user_id=user-2&format=flat', headers: signedGet })),
+    false, 'Invalid signature');
+  expect('Signed GET replayed as a POST is rejected',
+    run(auth, request({ url: getUrl, headers: signedGet })), false, 'Invalid signature');
+
+  const stale = String(Math.floor(Date.now() / 1000) - 600);
+  expect('Signature outside the window is rejected', run(auth, request({
+    headers: { 'x-webhook-timestamp': stale, 'x-webhook-signature': sign(stale, 'POST', '/webhook', body) },
+    body
+  })), false, 'Timestamp outside the allowed window');
+  expect('Signature without a timestamp is rejected', run(auth, request({
+    headers: { 'x-webhook-signature': sign(now, 'POST', '/webhook', body) },
+    body
+  })), false, 'Missing x-webhook-timestamp header');
+  expect('Unauthenticated request is rejected', run(auth, request({ body })), false, 'Missing credentials');
+}
+
+function testAuthorizationHeader() {
+  const auth = createWebhookAuth({
+    ...BASE_CONFIG,
+    bearerToken: 'test-token',
+    basicUsername: 'braze',
+    basicPassword: 'p:ss'
+  });
+  const basic = credentials => `Basic ${Buffer.from(credentials).toString('base64')}`;
+
+  expect('Bearer token is accepted',
+    run(auth, request({ headers: { authorization: 'Bearer test-token' } })), true);
+  expect('Wrong bearer token is rejected',
+    run(auth, request({ headers: { authorization: 'Bearer nope' } })), false, 'Invalid bearer token');
+  expect('Basic credentials with a colon in the password are accepted',
+    run(auth, request({ headers: { authorization: basic('braze:p:ss') } })), true);
+  expect('Wrong basic password is rejected',
+    run(auth, request({ headers: { authorization: basic('braze:wrong') } })), false, 'Invalid basic auth credentials');
+  expect('Basic credentials without a separator are rejected',
+    run(auth, request({ headers: { authorization: basic('braze') } })), false, 'Invalid basic auth credentials');
+  expect('Unknown scheme is rejected',
+    run(auth, request({ headers: { authorization: 'Digest abc' } })), false, 'Unsupported authorization scheme: Digest');
+
+  const bearerOnly = createWebhookAuth({ ...BASE_CONFIG, bearerToken: 'test-token' });
+  expect('Basic credentials are rejected when only a bearer token is configured',
+    run(bearerOnly, request({ headers: { authorization: basic('braze:p:ss') } })), false,
+    'Unsupported authorization scheme: Basic');
+
+  const disabled = createWebhookAuth({ ...BASE_CONFIG });
+  expect('Requests pass when no authentication is configured', run(disabled, request({})), true);
+}
+
+function testDemoRoutesGuard() {
+  const enabled = run(createDemoRoutesGuard(true), request({ method: 'GET', url: '/test' }));
+  const disabled = run(createDemoRoutesGuard(false), request({ method: 'GET', url: '/test' }));
+
+  if (enabled.passed && !disabled.passed && disabled.status === 404) {
+    console.log('✅ Demo routes guard hides routes only when disabled');
+  } else {
+    failures++;
+    console.error(`❌ Demo routes guard: enabled ${JSON.stringify(enabled)}, disabled ${JSON.stringify(disabled)}`);
+  }
+}
+
+console.log('🔍 Checking webhook authentication...\n');
+testSignature();
+testAuthorizationHeader();
+testDemoRoutesGuard();
+
+if (failures > 0) {
+  console.error(`\n❌ ${failures} webhook auth checks failed`);
+  process.exitCode = 1;
+}